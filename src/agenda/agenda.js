@@ -0,0 +1,400 @@
+const { DateTime } = require("luxon");
+const store = require("../store");
+const logger = require("../lib/logger");
+const { getSettings } = require("../users/service");
+const { listEventsForDays } = require("../calendar/googleCalendar");
+const { resolveDay } = require("../calendar/eventParser");
+
+// Longest range "agenda next N days" will fetch
+const MAX_RANGE_DAYS = 31;
+
+// How long "move 2 ..." can refer to the last agenda listing
+const LISTING_TTL_SECONDS = 24 * 60 * 60;
+
+// Parts of a day "agenda tomorrow afternoon" narrows to: [from, to) hours
+const PERIODS = {
+  morning: [0, 12],
+  afternoon: [12, 17],
+  evening: [17, 24],
+};
+
+// Day-month spellings accepted besides resolveDay's ("20 oct", "oct 20 2025")
+const DATE_FORMATS = [
+  "d LLL",
+  "d LLLL",
+  "LLL d",
+  "LLLL d",
+  "d LLL yyyy",
+  "d LLLL yyyy",
+  "LLL d yyyy",
+  "LLLL d yyyy",
+];
+
+/**
+ * Parse a written date like "20 oct" or "October 20 2025"
+ * @param {string} text - Lower-cased date text
+ * @param {string} tz - IANA timezone
+ * @returns {DateTime|null} - Start of the day, or null if not a date
+ */
+function parseWrittenDate(text, tz) {
+  const cleaned = text.replace(/(\d)(st|nd|rd|th)\b/, "$1").replace(",", "");
+  for (const format of DATE_FORMATS) {
+    const day = DateTime.fromFormat(cleaned, format, { zone: tz });
+    if (day.isValid) return day.startOf("day");
+  }
+  return null;
+}
+
+/**
+ * Parse the text after "agenda" into a run of days in the user's timezone
+ * Accepts nothing/"today", "tomorrow", weekdays ("friday", "next monday"),
+ * dates ("2024-05-01", "20 oct"), "week" (7 days from today), "this week"
+ * (today to Sunday), "next week" (Monday to Sunday) and "next N days".
+ * A single day can end with a part of the day ("tomorrow afternoon",
+ * "this morning", "tonight").
+ * @param {string} text - Range text (may be empty)
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {Object|null} - { start, days, period } (start is a luxon DateTime,
+ *   period is "morning", "afternoon", "evening" or absent), or null if not recognised
+ */
+function parseAgendaRange(text, tz, now = DateTime.now()) {
+  const today = now.setZone(tz).startOf("day");
+  const w = (text || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+  const period = w.match(
+    /(?:^|\s)(?:this )?(morning|afternoon|evening|tonight)$/
+  );
+  if (period) {
+    const range = parseAgendaRange(w.slice(0, period.index), tz, now);
+    if (!range || range.days > 1) return null;
+    return {
+      ...range,
+      period: period[1] === "tonight" ? "evening" : period[1],
+    };
+  }
+
+  if (!w || w === "today") return { start: today, days: 1 };
+  if (w === "week") return { start: today, days: 7 };
+  if (w === "this week") return { start: today, days: 8 - today.weekday };
+  if (w === "next week") {
+    return { start: today.plus({ days: 8 - today.weekday }), days: 7 };
+  }
+
+  const next = w.match(/^(?:next )?(\d{1,2}) days$/);
+  if (next) {
+    const days = parseInt(next[1], 10);
+    return days >= 1 && days <= MAX_RANGE_DAYS ? { start: today, days } : null;
+  }
+
+  const day = resolveDay(w, tz, now) || parseWrittenDate(w, tz);
+  return day ? { start: day, days: 1 } : null;
+}
+
+/**
+ * Resolve an event's start and end in the user's timezone
+ * All-day events carry plain dates (end exclusive), which are read as
+ * midnights in `tz`; timed events are converted from Google's offset.
+ * @param {Object} event - Event from listEvents
+ * @param {string} tz - IANA timezone
+ * @returns {Object} - { allDay, start, end } with luxon DateTimes
+ */
+function eventTimes(event, tz) {
+  const allDay = (event.start || "").length <= 10;
+  const start = DateTime.fromISO(event.start, { zone: tz });
+  const end = event.end ? DateTime.fromISO(event.end, { zone: tz }) : start;
+  return { allDay, start, end: end < start ? start : end };
+}
+
+/**
+ * Get the hours a part of the day covers
+ * @param {DateTime} day - Start of the day in the user's timezone
+ * @param {string} period - "morning", "afternoon" or "evening"
+ * @returns {Object} - { from, to } luxon DateTimes (to is exclusive)
+ */
+function periodWindow(day, period) {
+  const [from, to] = PERIODS[period];
+  return {
+    from: day.set({ hour: from }),
+    to: to === 24 ? day.plus({ days: 1 }) : day.set({ hour: to }),
+  };
+}
+
+/**
+ * Check if an event touches part of a day (all-day events cover every part)
+ * @param {Object} event - Event from listEvents
+ * @param {DateTime} day - Start of the day in the user's timezone
+ * @param {string} period - "morning", "afternoon" or "evening"
+ * @param {string} tz - IANA timezone
+ * @returns {boolean} - true if the event happens during that period
+ */
+function isInPeriod(event, day, period, tz) {
+  const { start, end } = eventTimes(event, tz);
+  const { from, to } = periodWindow(day, period);
+  return start.equals(end)
+    ? start >= from && start < to
+    : start < to && end > from;
+}
+
+/**
+ * Pick the events that touch one day, all-day ones first, then by time
+ * @param {Array<Object>} events - Events from listEvents
+ * @param {DateTime} day - Start of the day in the user's timezone
+ * @param {string} tz - IANA timezone
+ * @returns {Array<Object>} - Events on that day
+ */
+function eventsOnDay(events, day, tz) {
+  const nextDay = day.plus({ days: 1 });
+  return events
+    .map((event) => ({ event, ...eventTimes(event, tz) }))
+    .filter(({ start, end }) =>
+      start.equals(end)
+        ? start >= day && start < nextDay
+        : start < nextDay && end > day
+    )
+    .sort(
+      (a, b) =>
+        Number(b.allDay) - Number(a.allDay) ||
+        DateTime.max(a.start, day) - DateTime.max(b.start, day)
+    )
+    .map(({ event }) => event);
+}
+
+/**
+ * Describe when an event happens on one day
+ * @param {Object} event - Event from listEvents
+ * @param {DateTime} day - Start of the day in the user's timezone
+ * @param {string} tz - IANA timezone
+ * @returns {string} - "09:00", "All-day", "All-day (2/3)", "22:00 → Tue 02:00" or "until 02:00"
+ */
+function describeTime(event, day, tz) {
+  const { allDay, start, end } = eventTimes(event, tz);
+  const nextDay = day.plus({ days: 1 });
+
+  if (allDay) {
+    const total = Math.round(end.diff(start, "days").days);
+    if (total <= 1) return "All-day";
+    return `All-day (${Math.round(day.diff(start, "days").days) + 1}/${total})`;
+  }
+
+  const startsToday = start >= day;
+  const endsToday = end <= nextDay;
+  if (startsToday && endsToday) return start.toFormat("HH:mm");
+  if (startsToday)
+    return `${start.toFormat("HH:mm")} → ${end.toFormat("ccc HH:mm")}`;
+  if (endsToday) return `until ${end.toFormat("HH:mm")}`;
+  return "All-day";
+}
+
+/**
+ * Format one day's events as WhatsApp agenda lines
+ * @param {Array<Object>} events - Events on that day, from eventsOnDay
+ * @param {DateTime} day - Start of the day in the user's timezone
+ * @param {string} tz - IANA timezone
+ * @param {Object} options - { showCalendar: label each event with its
+ *   calendar, numbers: Map of event -> listing number (bullets if missing) }
+ * @returns {string} - One line per event
+ */
+function formatAgenda(events, day, tz, { showCalendar = false, numbers } = {}) {
+  return events
+    .map((e) => {
+      const marker = numbers?.has(e) ? `${numbers.get(e)}.` : "•";
+      const source = showCalendar ? ` [${e.calendarName}]` : "";
+      return `${marker} ${describeTime(e, day, tz)} — ${e.summary}${source}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Format events over several days, one block per day that has events
+ * An event spanning several days is listed under each of them.
+ * @param {Array<Object>} events - Events from listEventsForDays
+ * @param {Object} range - { start, days }
+ * @param {string} tz - IANA timezone
+ * @param {Object} options - Passed to formatAgenda
+ * @returns {string} - Day headings followed by their event lines
+ */
+function formatAgendaByDay(events, { start, days }, tz, options = {}) {
+  const blocks = [];
+  for (let i = 0; i < days; i++) {
+    const day = start.plus({ days: i });
+    const dayEvents = eventsOnDay(events, day, tz);
+    if (!dayEvents.length) continue;
+    blocks.push(
+      `*${day.toFormat("ccc d LLL")}*\n${formatAgenda(
+        dayEvents,
+        day,
+        tz,
+        options
+      )}`
+    );
+  }
+  return blocks.join("\n\n");
+}
+
+/**
+ * Number events in the order the agenda shows them (an event spanning
+ * several days keeps the number it got on its first day)
+ * @param {Array<Object>} events - Events from listEventsForDays
+ * @param {Object} range - { start, days }
+ * @param {string} tz - IANA timezone
+ * @returns {Map<Object, number>} - Event -> number, from 1
+ */
+function numberEvents(events, { start, days }, tz) {
+  const numbers = new Map();
+  for (let i = 0; i < days; i++) {
+    for (const event of eventsOnDay(events, start.plus({ days: i }), tz)) {
+      if (!numbers.has(event)) numbers.set(event, numbers.size + 1);
+    }
+  }
+  return numbers;
+}
+
+/**
+ * Remember the numbered events of the agenda just shown, so "move 2 ..."
+ * can refer to them
+ * @param {string} uid - User ID
+ * @param {Array<Object>} events - Events in listing order (empty clears it)
+ */
+async function saveListing(uid, events) {
+  if (!events.length) {
+    await store.set(`agenda:listing:${uid}`, null);
+    return;
+  }
+  const listing = events.map((e) => ({
+    id: e.id,
+    calendarId: e.calendarId,
+    summary: e.summary,
+    start: e.start,
+    end: e.end,
+  }));
+  await store.set(
+    `agenda:listing:${uid}`,
+    JSON.stringify(listing),
+    LISTING_TTL_SECONDS
+  );
+}
+
+/**
+ * Get the events of the last agenda listing
+ * @param {string} uid - User ID
+ * @returns {Array<Object|null>} - Events by number - 1 (null once cancelled)
+ */
+async function getListing(uid) {
+  const stored = await store.get(`agenda:listing:${uid}`);
+  if (!stored) return [];
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    logger.error("Failed to parse agenda listing", error, { uid });
+    return [];
+  }
+}
+
+/**
+ * Replace one event of the last agenda listing after it was changed
+ * @param {string} uid - User ID
+ * @param {number} position - Listing number (1-based)
+ * @param {Object|null} event - Updated event, or null once cancelled
+ */
+async function updateListing(uid, position, event) {
+  const listing = await getListing(uid);
+  if (position < 1 || position > listing.length) return;
+  listing[position - 1] = event && {
+    id: event.id,
+    calendarId: event.calendarId,
+    summary: event.summary,
+    start: event.start,
+    end: event.end,
+  };
+  await store.set(
+    `agenda:listing:${uid}`,
+    JSON.stringify(listing),
+    LISTING_TTL_SECONDS
+  );
+}
+
+/**
+ * Describe a run of days for message headings
+ * @param {Object} range - { start, days, period }
+ * @param {DateTime} today - Start of today in the user's timezone
+ * @returns {string} - "today", "this afternoon", "tomorrow", "Fri 23 Oct",
+ *   "Fri 23 Oct morning" or "Mon 19 Oct – Sun 25 Oct"
+ */
+function describeRange({ start, days, period }, today) {
+  if (days > 1) {
+    const last = start.plus({ days: days - 1 });
+    return `${start.toFormat("ccc d LLL")} – ${last.toFormat("ccc d LLL")}`;
+  }
+  if (start.hasSame(today, "day")) {
+    if (!period) return "today";
+    return period === "evening" ? "tonight" : `this ${period}`;
+  }
+  const day = start.hasSame(today.plus({ days: 1 }), "day")
+    ? "tomorrow"
+    : start.toFormat("ccc d LLL");
+  return period ? `${day} ${period}` : day;
+}
+
+/**
+ * Build the agenda message for a run of days
+ * The events are numbered and remembered for "move", "rename" and "cancel".
+ * @param {string} uid - User ID
+ * @param {Object} range - { start, days, period } from parseAgendaRange (defaults to today)
+ * @returns {Object} - { message, eventCount }
+ */
+async function buildAgendaMessage(uid, range = null) {
+  const { tz, calendars } = await getSettings(uid);
+  const today = DateTime.now().setZone(tz).startOf("day");
+  const { start, days, period } = range || { start: today, days: 1 };
+
+  let events = await listEventsForDays(uid, start, days);
+  if (period) events = events.filter((e) => isInPeriod(e, start, period, tz));
+  const numbers = numberEvents(events, { start, days }, tz);
+  await saveListing(uid, [...numbers.keys()]);
+
+  const label = describeRange({ start, days, period }, today);
+  if (!events.length) {
+    return { message: `📅 No events scheduled for ${label} 👍`, eventCount: 0 };
+  }
+
+  const options = { showCalendar: calendars.length > 1, numbers };
+  const hint = `\n\n✏️ To change one: 'move 1 to 4pm', 'rename 1 to <title>' or 'cancel 1'`;
+
+  if (days > 1) {
+    return {
+      message: `📅 Agenda for ${label}:\n\n${formatAgendaByDay(
+        events,
+        { start, days },
+        tz,
+        options
+      )}${hint}`,
+      eventCount: events.length,
+    };
+  }
+
+  const heading =
+    label === "today" || label === "tomorrow"
+      ? `${label[0].toUpperCase()}${label.slice(1)}'s agenda`
+      : `Agenda for ${label}`;
+  return {
+    message: `📅 ${heading}:\n\n${formatAgenda(
+      eventsOnDay(events, start, tz),
+      start,
+      tz,
+      options
+    )}${hint}`,
+    eventCount: events.length,
+  };
+}
+
+module.exports = {
+  parseAgendaRange,
+  describeRange,
+  periodWindow,
+  eventTimes,
+  formatAgenda,
+  buildAgendaMessage,
+  getListing,
+  updateListing,
+};
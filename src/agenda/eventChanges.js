@@ -0,0 +1,237 @@
+const { DateTime } = require("luxon");
+const store = require("../store");
+const logger = require("../lib/logger");
+const {
+  listEventsForDays,
+  deleteEvent,
+} = require("../calendar/googleCalendar");
+const { parseDayAndTime } = require("../calendar/eventParser");
+const { eventTimes, getListing, updateListing } = require("./agenda");
+
+// How long a "cancel" waits for the user's "yes"
+const CONFIRM_TTL_SECONDS = 10 * 60;
+
+/**
+ * Describe when an event happens, for replies
+ * @param {Object} event - Event (listing entry or from googleCalendar)
+ * @param {string} tz - IANA timezone
+ * @returns {string} - "Mon 19 Oct, 09:00–10:00" or "Mon 19 Oct (all day)"
+ */
+function describeEvent(event, tz) {
+  const { allDay, start, end } = eventTimes(event, tz);
+  if (allDay) return `${start.toFormat("ccc d LLL")} (all day)`;
+  const endFormat = end.hasSame(start, "day") ? "HH:mm" : "ccc d LLL, HH:mm";
+  return `${start.toFormat("ccc d LLL, HH:mm")}–${end.toFormat(endFormat)}`;
+}
+
+/**
+ * Find the event a message refers to: a number from the last agenda
+ * ("2") or the time it starts ("3pm", "my 3pm", "the 10:00 meeting")
+ * @param {string} uid - User ID
+ * @param {string} ref - Reference text
+ * @param {string} tz - IANA timezone
+ * @returns {Object} - { event, position } (position is null for time
+ *   references), or { error } with a message for the user
+ */
+async function findEvent(uid, ref, tz) {
+  const text = ref
+    .trim()
+    .replace(/^(?:my|the|event)\s+/i, "")
+    .replace(/\s+(?:meeting|event|call)$/i, "")
+    .replace(/^#/, "");
+
+  if (/^\d+$/.test(text)) {
+    const position = parseInt(text, 10);
+    const listing = await getListing(uid);
+    if (!listing.length) {
+      return {
+        error:
+          "❌ I don't have a recent agenda to refer to. Type 'agenda' first, then e.g. 'move 1 to 4pm'.",
+      };
+    }
+    if (position < 1 || position > listing.length) {
+      return {
+        error: `❌ There's no event ${position} in your last agenda (1-${listing.length}). Type 'agenda' to see them again.`,
+      };
+    }
+    const event = listing[position - 1];
+    if (!event) {
+      return { error: `❌ Event ${position} was already cancelled.` };
+    }
+    return { event, position };
+  }
+
+  const when = parseDayAndTime(text, tz);
+  if (!when || when.hour === null) {
+    return {
+      error:
+        "❌ Please say which event by its number in your agenda (e.g., 'move 2 to 4pm') or its start time (e.g., 'move 3pm to 4pm').",
+    };
+  }
+
+  const day = when.day || DateTime.now().setZone(tz).startOf("day");
+  const events = await listEventsForDays(uid, day, 1);
+  const event = events.find((e) => {
+    const { allDay, start } = eventTimes(e, tz);
+    return (
+      !allDay &&
+      start.hasSame(day, "day") &&
+      start.hour === when.hour &&
+      start.minute === when.minute
+    );
+  });
+  if (!event) {
+    const at = day.set({ hour: when.hour, minute: when.minute });
+    return {
+      error: `❌ I couldn't find an event at ${at.toFormat(
+        "HH:mm"
+      )} on ${day.toFormat("ccc d LLL")}.`,
+    };
+  }
+  return { event, position: null };
+}
+
+/**
+ * Work out an event's new times from "4pm", "friday" or "tomorrow 10am"
+ * The event keeps its length; a time alone keeps its day and a day alone
+ * keeps its time.
+ * @param {Object} event - Event being moved
+ * @param {string} target - New day and/or time
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {Object} - { allDay, start, end } with luxon DateTimes
+ * @throws {Error} - With a message for the user if the target can't be used
+ */
+function planMove(event, target, tz, now = DateTime.now()) {
+  const { allDay, start, end } = eventTimes(event, tz);
+  const when = parseDayAndTime(target, tz, now, start);
+  if (!when) {
+    throw new Error(
+      'Please give a new time or day, e.g. "4pm", "friday" or "tomorrow 10am"'
+    );
+  }
+
+  if (allDay) {
+    if (when.hour !== null) {
+      throw new Error(
+        'That\'s an all-day event - give a new day instead, e.g. "friday"'
+      );
+    }
+    return { allDay, start: when.day, end: when.day.plus(end.diff(start)) };
+  }
+
+  const newStart = (when.day || start.startOf("day")).set(
+    when.hour === null
+      ? { hour: start.hour, minute: start.minute }
+      : { hour: when.hour, minute: when.minute }
+  );
+  return { allDay, start: newStart, end: newStart.plus(end.diff(start)) };
+}
+
+/**
+ * Ask the user to confirm cancelling an event
+ * @param {string} uid - User ID
+ * @param {Object} event - Event to cancel
+ * @param {number|null} position - Its number in the last agenda, if any
+ * @param {string} tz - IANA timezone
+ * @returns {string} - Confirmation question
+ */
+async function requestCancel(uid, event, position, tz) {
+  await store.set(
+    `change:pending:${uid}`,
+    JSON.stringify({ action: "cancel", event, position }),
+    CONFIRM_TTL_SECONDS
+  );
+  logger.info("Event cancel awaiting confirmation", {
+    uid,
+    eventId: event.id,
+  });
+  return `🗑️ Cancel "${event.summary}" (${describeEvent(
+    event,
+    tz
+  )})?\n\nReply 'yes' to delete it from your calendar, or 'no' to keep it.`;
+}
+
+/**
+ * Get the change waiting for the user's confirmation
+ * @param {string} uid - User ID
+ * @returns {Object|null} - { action, event, position }, or null if none
+ */
+async function getPendingChange(uid) {
+  const stored = await store.get(`change:pending:${uid}`);
+  if (!stored) return null;
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    logger.error("Failed to parse pending change", error, { uid });
+    return null;
+  }
+}
+
+/**
+ * Check if a change is waiting for the user's confirmation
+ * @param {string} uid - User ID
+ * @returns {boolean} - true if the next "yes" or "no" answers it
+ */
+async function hasPendingChange(uid) {
+  return !!(await getPendingChange(uid));
+}
+
+/**
+ * Try to handle the user's answer to a confirmation question
+ * Anything other than yes/no drops the question, so a later "yes" can't
+ * delete an event by surprise.
+ * @param {string} uid - User ID
+ * @param {string} text - User message
+ * @param {string} tz - IANA timezone
+ * @returns {Object|null} - { message }, or null if the message isn't an answer
+ */
+async function tryHandleConfirmation(uid, text, tz) {
+  const pending = await getPendingChange(uid);
+  if (!pending) return null;
+
+  await store.del(`change:pending:${uid}`);
+  const answer = text
+    .trim()
+    .toLowerCase()
+    .replace(/[.!]+$/, "");
+
+  if (/^(?:no|n|nope|keep it|don'?t)$/.test(answer)) {
+    return { message: `👌 Kept "${pending.event.summary}".` };
+  }
+  if (!/^(?:yes|y|yes please|yep|confirm|ok|okay)$/.test(answer)) {
+    logger.info("Pending change dropped", { uid, action: pending.action });
+    return null;
+  }
+
+  const { event, position } = pending;
+  try {
+    await deleteEvent(uid, event.calendarId, event.id);
+  } catch (error) {
+    const status = error.code || error.response?.status;
+    if (status === 404 || status === 410) {
+      if (position) await updateListing(uid, position, null);
+      return { message: `🤷 "${event.summary}" was already gone.` };
+    }
+    logger.error("Failed to cancel event", error, { uid, eventId: event.id });
+    return {
+      message:
+        "❌ Sorry, couldn't cancel that event. You may not be allowed to edit that calendar.",
+    };
+  }
+
+  if (position) await updateListing(uid, position, null);
+  logger.info("Event cancelled", { uid, eventId: event.id });
+  return {
+    message: `🗑️ Cancelled: ${event.summary} (${describeEvent(event, tz)})`,
+  };
+}
+
+module.exports = {
+  describeEvent,
+  findEvent,
+  planMove,
+  requestCancel,
+  hasPendingChange,
+  tryHandleConfirmation,
+};
@@ -0,0 +1,189 @@
+const { DateTime } = require("luxon");
+const { getSettings } = require("../users/service");
+const { queryFreeBusy } = require("../calendar/googleCalendar");
+const { parseAgendaRange, describeRange, periodWindow } = require("./agenda");
+
+// Shortest slot worth listing when the user doesn't give a length
+const DEFAULT_SLOT_MINUTES = 30;
+
+const DURATION =
+  /\s(?:for\s+)?(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|m|mins?|minutes?)(?:\s*(\d+)\s*(?:m|mins?|minutes?))?(?=\s)/i;
+
+/**
+ * Parse the text after "free": an optional slot length anywhere, and a day
+ * or range as understood by parseAgendaRange
+ * ("free", "free tomorrow", "free 1h this week", "free slots friday for 45m")
+ * @param {string} text - Query text (may be empty)
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {Object|null} - { minutes, range }, or null if not recognised
+ */
+function parseFreeQuery(text, tz, now = DateTime.now()) {
+  let rest = ` ${(text || "").trim().replace(/^(?:slots?|time)\b/i, "")} `;
+  let minutes = DEFAULT_SLOT_MINUTES;
+
+  const match = rest.match(DURATION);
+  if (match) {
+    const amount = parseFloat(match[1]);
+    const extra = match[3] ? parseInt(match[3], 10) : 0;
+    minutes = Math.round(
+      match[2].toLowerCase().startsWith("h") ? amount * 60 + extra : amount
+    );
+    rest = rest.replace(match[0], " ");
+  }
+  if (minutes <= 0 || minutes > 24 * 60) return null;
+
+  const range = parseAgendaRange(
+    rest.replace(/^\s*(?:on|for)\s/i, ""),
+    tz,
+    now
+  );
+  return range ? { minutes, range } : null;
+}
+
+/**
+ * Parse "HH:mm" into hour and minute
+ * @param {string} clock - "HH:mm"
+ * @returns {Object} - { hour, minute }
+ */
+function clockParts(clock) {
+  const [hour, minute] = clock.split(":").map((n) => parseInt(n, 10));
+  return { hour, minute };
+}
+
+/**
+ * Find the gaps between busy blocks inside working hours, day by day
+ * (and inside range.period, for "free tomorrow afternoon")
+ * @param {Object} options - { busy, range, tz, workStart, workEnd, minutes, now }
+ *   busy: merged blocks from queryFreeBusy; range: { start, days, period };
+ *   workStart/workEnd: "HH:mm"; minutes: shortest slot to keep
+ * @returns {Array<Object>} - [{ day, slots: [{ start, end }] }] (luxon), days with slots only
+ */
+function findFreeSlots({
+  busy,
+  range,
+  tz,
+  workStart,
+  workEnd,
+  minutes,
+  now = DateTime.now(),
+}) {
+  const result = [];
+
+  for (let i = 0; i < range.days; i++) {
+    const day = range.start.plus({ days: i });
+    // set() on calendar fields keeps working hours right across DST changes
+    let dayStart = day.set(clockParts(workStart));
+    let dayEnd = day.set(clockParts(workEnd));
+    if (range.period) {
+      const { from, to } = periodWindow(day, range.period);
+      dayStart = DateTime.max(dayStart, from);
+      dayEnd = DateTime.min(dayEnd, to);
+    }
+    let cursor = DateTime.max(dayStart, now.setZone(tz));
+    const slots = [];
+
+    for (const block of busy) {
+      const blockStart = DateTime.fromJSDate(block.start).setZone(tz);
+      const blockEnd = DateTime.fromJSDate(block.end).setZone(tz);
+      if (blockEnd <= cursor) continue;
+      if (blockStart >= dayEnd) break;
+      if (blockStart > cursor) slots.push({ start: cursor, end: blockStart });
+      cursor = DateTime.max(cursor, blockEnd);
+    }
+    if (cursor < dayEnd) slots.push({ start: cursor, end: dayEnd });
+
+    const long = slots.filter(
+      (slot) => slot.end.diff(slot.start, "minutes").minutes >= minutes
+    );
+    if (long.length) result.push({ day, slots: long });
+  }
+
+  return result;
+}
+
+/**
+ * Format a length of time like "45m", "2h" or "1h 30m"
+ * @param {number} minutes - Minutes
+ * @returns {string} - Short duration
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+/**
+ * Format a day's free slots as WhatsApp lines
+ * @param {Array<Object>} slots - [{ start, end }] (luxon)
+ * @returns {string} - One line per slot
+ */
+function formatSlots(slots) {
+  return slots
+    .map((slot) => {
+      const length = slot.end.diff(slot.start, "minutes").minutes;
+      return `• ${slot.start.toFormat("HH:mm")}–${slot.end.toFormat(
+        "HH:mm"
+      )} (${formatDuration(length)})`;
+    })
+    .join("\n");
+}
+
+/**
+ * Build the reply listing a user's free slots
+ * @param {string} uid - User ID
+ * @param {Object} query - { minutes, range } from parseFreeQuery
+ * @returns {Object} - { message, slotCount }
+ */
+async function buildFreeMessage(uid, { minutes, range }) {
+  const { tz, workStart, workEnd } = await getSettings(uid);
+  const now = DateTime.now().setZone(tz);
+
+  const busy = await queryFreeBusy(
+    uid,
+    range.start.toJSDate(),
+    range.start.plus({ days: range.days }).toJSDate()
+  );
+  const days = findFreeSlots({
+    busy,
+    range,
+    tz,
+    workStart,
+    workEnd,
+    minutes,
+    now,
+  });
+
+  const label = describeRange(range, now.startOf("day"));
+  const slotCount = days.reduce((n, d) => n + d.slots.length, 0);
+  if (!slotCount) {
+    return {
+      message: `😕 No free slots of ${formatDuration(
+        minutes
+      )} or more for ${label} between ${workStart} and ${workEnd}.`,
+      slotCount,
+    };
+  }
+
+  const heading = `🟢 Free for ${formatDuration(
+    minutes
+  )}+ ${label} (${workStart}–${workEnd}):`;
+  const body =
+    range.days > 1
+      ? days
+          .map(
+            ({ day, slots }) =>
+              `*${day.toFormat("ccc d LLL")}*\n${formatSlots(slots)}`
+          )
+          .join("\n\n")
+      : formatSlots(days[0].slots);
+
+  return { message: `${heading}\n\n${body}`, slotCount };
+}
+
+module.exports = {
+  parseFreeQuery,
+  findFreeSlots,
+  buildFreeMessage,
+};
@@ -0,0 +1,60 @@
+const { DateTime } = require("luxon");
+const store = require("../store");
+const logger = require("../lib/logger");
+const { enqueue } = require("../whatsapp/outbox");
+const {
+  listUsers,
+  getSettings,
+  getUserProfile,
+  hasGoogleCalendarLinked,
+} = require("../users/service");
+const { withUserLock } = require("../users/conversationLock");
+const { buildAgendaMessage } = require("./agenda");
+
+/**
+ * Send the morning agenda to every linked user whose timezone is `tz`
+ * Each user gets at most one push per local day, so restarts and
+ * overlapping runs are safe.
+ * @param {string} tz - IANA timezone the cron task fired for
+ * @returns {number} - Number of agendas sent
+ */
+async function sendMorningAgendas(tz) {
+  const today = DateTime.now().setZone(tz).toISODate();
+  let sent = 0;
+
+  for (const uid of await listUsers()) {
+    try {
+      const settings = await getSettings(uid);
+      if (settings.tz !== tz || !(await hasGoogleCalendarLinked(uid))) {
+        continue;
+      }
+
+      // Mark the day only once the agenda is queued, so a failed run can be
+      // retried; the lock keeps overlapping runs from both sending
+      const isSent = await withUserLock(uid, async () => {
+        const sentKey = `agenda:sent:${uid}`;
+        if ((await store.get(sentKey)) === today) return false;
+
+        const profile = await getUserProfile(uid);
+        const { message, eventCount } = await buildAgendaMessage(uid);
+        const greeting = profile?.name
+          ? `☀️ Good morning ${profile.name}!`
+          : "☀️ Good morning!";
+
+        await enqueue(uid, `${greeting}\n\n${message}`);
+        await store.set(sentKey, today);
+        logger.info("Morning agenda sent", { to: uid, tz, eventCount });
+        return true;
+      });
+      if (isSent) sent++;
+    } catch (error) {
+      logger.error("Failed to send morning agenda", error, { uid, tz });
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  sendMorningAgendas,
+};
@@ -0,0 +1,142 @@
+const { DateTime } = require("luxon");
+const store = require("../store");
+const logger = require("../lib/logger");
+const { enqueue } = require("../whatsapp/outbox");
+const {
+  listUsers,
+  getSettings,
+  hasGoogleCalendarLinked,
+} = require("../users/service");
+const { listEventsBetween } = require("../calendar/googleCalendar");
+
+// How far ahead to look for events; covers per-event overrides up to a day
+const LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+// How long a "reminded" mark outlives the event's start
+const MARK_GRACE_SECONDS = 24 * 60 * 60;
+
+let running = false;
+
+/**
+ * Work out how many minutes before start an event should be reminded.
+ * Popup overrides set on the event in Google Calendar win over the
+ * user's default.
+ * @param {Object} event - Event from listEventsBetween
+ * @param {number} defaultMinutes - User's remindMinutes setting
+ * @returns {Array<number>} - Lead times in minutes (empty = no reminder)
+ */
+function reminderLeadTimes(event, defaultMinutes) {
+  const reminders = event.reminders;
+  if (reminders && reminders.useDefault === false) {
+    return (reminders.overrides || [])
+      .filter((o) => o.method === "popup")
+      .map((o) => o.minutes);
+  }
+  return defaultMinutes > 0 ? [defaultMinutes] : [];
+}
+
+/**
+ * Store key marking one reminder of one event instance as sent.
+ * The start time is part of the key so a moved event is reminded again.
+ * @param {string} uid - User ID
+ * @param {Object} event - Event instance
+ * @param {number} minutes - Lead time
+ * @returns {string} - Store key
+ */
+function reminderKey(uid, event, minutes) {
+  return `reminded:${uid}:${event.id}:${event.start}:${minutes}`;
+}
+
+/**
+ * Send reminders that are due for one user
+ * @param {string} uid - User ID
+ * @param {Date} now - Current time
+ * @returns {number} - Reminders sent
+ */
+async function sendDueRemindersForUser(uid, now) {
+  const { tz, remindMinutes } = await getSettings(uid);
+  const events = await listEventsBetween(
+    uid,
+    now,
+    new Date(now.getTime() + LOOKAHEAD_MS)
+  );
+  let sent = 0;
+
+  for (const event of events) {
+    // All-day events have a date, not a dateTime
+    if (!event.start || event.start.length <= 10) continue;
+
+    const startMs = new Date(event.start).getTime();
+    if (startMs <= now.getTime()) continue;
+
+    for (const minutes of reminderLeadTimes(event, remindMinutes)) {
+      if (startMs - minutes * 60 * 1000 > now.getTime()) continue;
+
+      const key = reminderKey(uid, event, minutes);
+      if (await store.get(key)) continue;
+      // Mark before queueing so an overlapping run never queues it twice
+      await store.set(
+        key,
+        now.toISOString(),
+        Math.ceil((startMs - now.getTime()) / 1000) + MARK_GRACE_SECONDS
+      );
+
+      const inMinutes = Math.max(
+        1,
+        Math.round((startMs - now.getTime()) / 60000)
+      );
+      const hhmm = DateTime.fromISO(event.start, { zone: tz }).toFormat(
+        "HH:mm"
+      );
+      const where = event.location ? `\n📍 ${event.location}` : "";
+      await enqueue(
+        uid,
+        `⏰ Reminder: ${event.summary} starts in ${inMinutes} min (${hhmm})${where}`
+      );
+      sent++;
+      logger.info("Event reminder sent", {
+        to: uid,
+        eventId: event.id,
+        minutes,
+      });
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Scan every linked user's upcoming events and send due reminders.
+ * Overlapping runs in the same process are skipped.
+ * @returns {number} - Reminders sent
+ */
+async function sendDueReminders() {
+  if (running) {
+    logger.warn("Reminder run still in progress, skipping");
+    return 0;
+  }
+  running = true;
+
+  try {
+    const now = new Date();
+    let sent = 0;
+
+    for (const uid of await listUsers()) {
+      try {
+        if (!(await hasGoogleCalendarLinked(uid))) continue;
+        sent += await sendDueRemindersForUser(uid, now);
+      } catch (error) {
+        logger.error("Failed to process reminders", error, { uid });
+      }
+    }
+
+    return sent;
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = {
+  sendDueReminders,
+  reminderLeadTimes,
+};
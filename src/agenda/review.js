@@ -0,0 +1,368 @@
+const { DateTime } = require("luxon");
+const store = require("../store");
+const logger = require("../lib/logger");
+const { enqueue } = require("../whatsapp/outbox");
+const {
+  listUsers,
+  getSettings,
+  hasCompletedOnboarding,
+  hasGoogleCalendarLinked,
+} = require("../users/service");
+const { getGoals, completeGoalById } = require("../users/goals");
+const { listEvents } = require("../calendar/googleCalendar");
+const { withUserLock } = require("../users/conversationLock");
+
+// Review states
+const STATES = {
+  ASK_DONE: "ask_done",
+  ASK_NOTES: "ask_notes",
+  DONE: "done",
+};
+
+// Number of daily reviews kept per user
+const HISTORY_LIMIT = 90;
+
+/**
+ * Get current review state for user
+ * @param {string} uid - User ID
+ * @returns {Object} - Current state and collected data
+ */
+async function getReviewState(uid) {
+  const key = `review:${uid}`;
+  const stored = await store.get(key);
+  if (stored) {
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      logger.error("Failed to parse review state", error, { uid });
+      return { state: STATES.DONE, data: {} };
+    }
+  }
+  return { state: STATES.DONE, data: {} };
+}
+
+/**
+ * Seconds until the end of the user's local day
+ * @param {string} uid - User ID
+ * @returns {number} - Seconds left today (at least one minute)
+ */
+async function secondsLeftToday(uid) {
+  const { tz } = await getSettings(uid);
+  const now = DateTime.now().setZone(tz);
+  return Math.max(60, Math.ceil(now.endOf("day").diff(now).as("seconds")));
+}
+
+/**
+ * Set review state for user
+ * An unanswered review expires at the end of the user's day.
+ * @param {string} uid - User ID
+ * @param {string} state - New state
+ * @param {Object} data - Additional data to store
+ */
+async function setReviewState(uid, state, data = {}) {
+  const current = await getReviewState(uid);
+  const newState = {
+    state,
+    data: { ...current.data, ...data },
+  };
+  await store.set(
+    `review:${uid}`,
+    JSON.stringify(newState),
+    await secondsLeftToday(uid)
+  );
+  logger.info("Review state updated", { uid, state });
+}
+
+/**
+ * Clear review state for user
+ * @param {string} uid - User ID
+ */
+async function clearReviewState(uid) {
+  await store.del(`review:${uid}`);
+  logger.info("Review state cleared", { uid });
+}
+
+/**
+ * Check if user is currently answering an evening review
+ * @param {string} uid - User ID
+ * @returns {boolean} - true if a review is in progress
+ */
+async function isInReview(uid) {
+  const current = await getReviewState(uid);
+  return current.state !== STATES.DONE;
+}
+
+/**
+ * Get stored daily reviews, newest first
+ * @param {string} uid - User ID
+ * @returns {Array<Object>} - Reviews [{date, items, done, notes, completedAt}]
+ */
+async function getReviewHistory(uid) {
+  const stored = await store.get(`user:${uid}:reviews`);
+  if (!stored) return [];
+  try {
+    const reviews = JSON.parse(stored);
+    return Array.isArray(reviews) ? reviews : [];
+  } catch (error) {
+    logger.error("Failed to parse review history", error, { uid });
+    return [];
+  }
+}
+
+/**
+ * Save a finished review, replacing any earlier review for the same day
+ * @param {string} uid - User ID
+ * @param {Object} review - Review entry
+ */
+async function saveReview(uid, review) {
+  const history = (await getReviewHistory(uid)).filter(
+    (r) => r.date !== review.date
+  );
+  history.unshift(review);
+  await store.set(
+    `user:${uid}:reviews`,
+    JSON.stringify(history.slice(0, HISTORY_LIMIT))
+  );
+}
+
+/**
+ * Collect today's events and open goals to review
+ * @param {string} uid - User ID
+ * @returns {Array<Object>} - Items [{type, id, label}]
+ */
+async function collectReviewItems(uid) {
+  const items = [];
+
+  if (await hasGoogleCalendarLinked(uid)) {
+    try {
+      const events = await listEvents(uid, new Date());
+      for (const e of events) {
+        items.push({ type: "event", id: e.id, label: e.summary });
+      }
+    } catch (error) {
+      logger.warn("Could not load events for review", {
+        uid,
+        error: error.message,
+      });
+    }
+  }
+
+  for (const g of await getGoals(uid)) {
+    if (!g.done) items.push({ type: "goal", id: g.id, label: g.text });
+  }
+
+  return items;
+}
+
+/**
+ * Format review items as a numbered list
+ * @param {Array<Object>} items - Review items
+ * @returns {string} - Formatted list
+ */
+function formatItems(items) {
+  return items
+    .map(
+      (item, i) =>
+        `${i + 1}. ${item.type === "goal" ? "🎯" : "📅"} ${item.label}`
+    )
+    .join("\n");
+}
+
+/**
+ * Start an evening review for a user
+ * @param {string} uid - User ID
+ * @returns {Object} - Initial message and state
+ */
+async function startReview(uid) {
+  const { tz } = await getSettings(uid);
+  const today = DateTime.now().setZone(tz);
+  const items = await collectReviewItems(uid);
+
+  if (!items.length) {
+    await clearReviewState(uid);
+    return {
+      message:
+        "🌙 Nothing to review today — no events and no open goals. Enjoy your evening!",
+      state: STATES.DONE,
+    };
+  }
+
+  await setReviewState(uid, STATES.ASK_DONE, {
+    date: today.toISODate(),
+    items,
+    done: [],
+  });
+
+  const heading = `🌙 Evening review for ${today.toFormat("ccc d LLL")}`;
+  return {
+    message: `${heading}\n\n${formatItems(
+      items
+    )}\n\nWhich of these got done? Reply with the numbers (e.g. "1 3"), "all" or "none".`,
+    state: STATES.ASK_DONE,
+  };
+}
+
+/**
+ * Parse the user's answer to "which got done"
+ * @param {string} text - Reply
+ * @param {number} count - Number of items
+ * @returns {Array<number>|null} - 0-based indexes, or null if not understood
+ */
+function parseDoneAnswer(text, count) {
+  const lower = text.trim().toLowerCase();
+  if (lower === "all") return [...Array(count).keys()];
+  if (lower === "none" || lower === "0") return [];
+
+  const numbers = lower.split(/[\s,]+/).filter(Boolean);
+  if (!numbers.length || !numbers.every((n) => /^\d+$/.test(n))) return null;
+
+  const indexes = [...new Set(numbers.map((n) => parseInt(n, 10) - 1))];
+  if (indexes.some((i) => i < 0 || i >= count)) return null;
+  return indexes.sort((a, b) => a - b);
+}
+
+/**
+ * Try to handle user message in the review flow
+ * @param {string} uid - User ID
+ * @param {string} text - User message
+ * @returns {Object|null} - Response message and next state, or null if not in a
+ *   review or the message isn't a review answer
+ */
+async function tryHandle(uid, text) {
+  const current = await getReviewState(uid);
+
+  if (current.state === STATES.DONE) {
+    return null;
+  }
+
+  const trimmedText = text.trim();
+  const { items = [] } = current.data;
+
+  if (trimmedText.toLowerCase() === "cancel") {
+    await clearReviewState(uid);
+    return { message: "👌 Review skipped for today.", state: STATES.DONE };
+  }
+
+  switch (current.state) {
+    case STATES.ASK_DONE: {
+      const indexes = parseDoneAnswer(trimmedText, items.length);
+      if (!indexes) {
+        // Anything but a list of numbers is a normal message or command
+        if (!/^[\d\s,]+$/.test(trimmedText)) return null;
+        return {
+          message: `Please reply with numbers between 1 and ${items.length}, "all" or "none" (or "cancel" to skip the review).`,
+          state: STATES.ASK_DONE,
+        };
+      }
+
+      await setReviewState(uid, STATES.ASK_NOTES, { done: indexes });
+      return {
+        message: `✅ Got it — ${indexes.length} of ${items.length} done.\n\nAny notes about today? Reply with a few words, or "skip".`,
+        state: STATES.ASK_NOTES,
+      };
+    }
+
+    case STATES.ASK_NOTES: {
+      const notes = trimmedText.toLowerCase() === "skip" ? "" : trimmedText;
+      const done = current.data.done || [];
+
+      // Completed goals are marked done in the goal list too
+      for (const i of done) {
+        const item = items[i];
+        if (item.type === "goal") await completeGoalById(uid, item.id);
+      }
+
+      await saveReview(uid, {
+        date: current.data.date,
+        items,
+        done,
+        notes,
+        completedAt: new Date().toISOString(),
+      });
+      await clearReviewState(uid);
+
+      logger.info("Evening review completed", {
+        uid,
+        date: current.data.date,
+        done: done.length,
+        total: items.length,
+      });
+
+      return {
+        message: `📓 Review saved: ${done.length}/${items.length} done today. ${
+          done.length ? "Great job — see" : "See"
+        } you tomorrow! 🌙`,
+        state: STATES.DONE,
+      };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Format stored reviews as a short history
+ * @param {Array<Object>} reviews - Reviews, newest first
+ * @returns {string} - Formatted history
+ */
+function formatReviewHistory(reviews) {
+  return reviews
+    .map((r) => {
+      const done = r.done.map((i) => r.items[i]?.label).filter(Boolean);
+      const doneText = done.length ? `\n   ✅ ${done.join(", ")}` : "";
+      const notes = r.notes ? `\n   📝 ${r.notes}` : "";
+      return `• ${r.date}: ${r.done.length}/${r.items.length} done${doneText}${notes}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Start the evening review for every onboarded user whose timezone is `tz`
+ * Each user is asked at most once per local day.
+ * @param {string} tz - IANA timezone the cron task fired for
+ * @returns {number} - Number of reviews started
+ */
+async function sendEveningReviews(tz) {
+  const today = DateTime.now().setZone(tz).toISODate();
+  let started = 0;
+
+  for (const uid of await listUsers()) {
+    try {
+      const settings = await getSettings(uid);
+      if (settings.tz !== tz || !(await hasCompletedOnboarding(uid))) {
+        continue;
+      }
+
+      const sentKey = `review:sent:${uid}`;
+      if ((await store.get(sentKey)) === today) continue;
+      await store.set(sentKey, today);
+
+      // Don't start a review in the middle of handling the user's messages
+      const isStarted = await withUserLock(uid, async () => {
+        const { message, state } = await startReview(uid);
+        if (state === STATES.DONE) return false;
+        await enqueue(uid, message);
+        return true;
+      });
+      if (!isStarted) continue;
+
+      started++;
+      logger.info("Evening review started", { to: uid, tz });
+    } catch (error) {
+      logger.error("Failed to start evening review", error, { uid, tz });
+    }
+  }
+
+  return started;
+}
+
+module.exports = {
+  tryHandle,
+  startReview,
+  isInReview,
+  getReviewHistory,
+  formatReviewHistory,
+  sendEveningReviews,
+  STATES,
+};
@@ -0,0 +1,140 @@
+const cron = require("node-cron");
+const config = require("../lib/config");
+const logger = require("../lib/logger");
+const { listUsers, getSettings } = require("../users/service");
+const { sendMorningAgendas } = require("./morning");
+const { sendDueReminders } = require("./reminders");
+const { sendEveningReviews } = require("./review");
+
+// Jobs that must fire at a wall-clock time in each user's own timezone.
+// One node-cron task is kept per (job, timezone) pair in use.
+const ZONED_JOBS = [
+  { name: "agenda", expression: config.cron.agenda, run: sendMorningAgendas },
+  { name: "review", expression: config.cron.review, run: sendEveningReviews },
+];
+
+// Jobs that run on the server clock (intervals, not wall-clock times)
+const JOBS = [
+  { name: "remind", expression: config.cron.remind, run: sendDueReminders },
+];
+
+// How often the set of user timezones is re-read
+const SYNC_EXPRESSION = "*/5 * * * *";
+
+const zonedTasks = new Map();
+const tasks = [];
+let syncTask = null;
+
+/**
+ * Make sure there is one cron task per job for every timezone in use,
+ * and stop tasks for timezones no user has any more
+ */
+async function syncTimezones() {
+  if (!syncTask) return;
+
+  const zones = new Set();
+  for (const uid of await listUsers()) {
+    const { tz } = await getSettings(uid);
+    if (tz) zones.add(tz);
+  }
+
+  for (const job of ZONED_JOBS) {
+    for (const tz of zones) {
+      const key = `${job.name}:${tz}`;
+      if (zonedTasks.has(key)) continue;
+      try {
+        const task = cron.schedule(
+          job.expression,
+          () =>
+            job.run(tz).catch((error) => {
+              logger.error("Scheduled job failed", error, {
+                job: job.name,
+                tz,
+              });
+            }),
+          { timezone: tz }
+        );
+        zonedTasks.set(key, task);
+        logger.info("Scheduled job for timezone", {
+          job: job.name,
+          tz,
+          expression: job.expression,
+        });
+      } catch (error) {
+        logger.warn("Could not schedule job for timezone", {
+          job: job.name,
+          tz,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  for (const [key, task] of zonedTasks) {
+    const tz = key.slice(key.indexOf(":") + 1);
+    if (!zones.has(tz)) {
+      task.stop();
+      zonedTasks.delete(key);
+      logger.info("Unscheduled job for unused timezone", { key });
+    }
+  }
+}
+
+/**
+ * Start all scheduled jobs
+ */
+async function startScheduler() {
+  if (syncTask) return;
+
+  for (const job of [...JOBS, ...ZONED_JOBS]) {
+    if (!cron.validate(job.expression)) {
+      throw new Error(
+        `Invalid cron expression for ${job.name}: ${job.expression}`
+      );
+    }
+  }
+
+  for (const job of JOBS) {
+    tasks.push(
+      cron.schedule(job.expression, () =>
+        job.run().catch((error) => {
+          logger.error("Scheduled job failed", error, { job: job.name });
+        })
+      )
+    );
+  }
+
+  syncTask = cron.schedule(SYNC_EXPRESSION, () =>
+    syncTimezones().catch((error) => {
+      logger.error("Failed to sync scheduler timezones", error);
+    })
+  );
+  await syncTimezones();
+
+  logger.info("Scheduler started", {
+    jobs: [...JOBS, ...ZONED_JOBS].map((j) => j.name),
+    tasks: tasks.length + zonedTasks.size,
+  });
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopScheduler() {
+  if (syncTask) {
+    syncTask.stop();
+    syncTask = null;
+  }
+  for (const task of [...tasks, ...zonedTasks.values()]) {
+    task.stop();
+  }
+  tasks.length = 0;
+  zonedTasks.clear();
+  logger.info("Scheduler stopped");
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  syncTimezones,
+};
@@ -0,0 +1,217 @@
+const { DateTime } = require("luxon");
+
+const WEEKDAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+const TIME_12H = /\b(?:at\s+)?(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/i;
+const TIME_24H = /\b(?:at\s+)?([01]?\d|2[0-3]):([0-5]\d)\b/;
+// "at 5": an hour with no minutes or am/pm
+const AT_HOUR = /\bat\s+([01]?\d|2[0-3])\b(?!\s*(?:[:.]\d|am\b|pm\b))/i;
+const DURATION =
+  /\bfor\s+(\d+(?:\.\d+)?)\s*(h|hr|hrs|hours?|m|mins?|minutes?)(?:\s*(\d+)\s*(?:m|mins?|minutes?))?\b/i;
+const DAY =
+  /\b(?:on\s+)?(today|tomorrow|tmrw|(?:next\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)|\d{4}-\d{2}-\d{2})\b/i;
+const LOCATION = /\s+at\s+(?!\d{1,2}(?::\d{2})?\s*(?:am|pm)?\b)(.+)$/i;
+
+/**
+ * Resolve a day word ("today", "tomorrow", "friday", "2024-05-01") to the
+ * start of that day in the given timezone
+ * @param {string} word - Day expression
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {DateTime|null} - Start of the day, or null if not recognised
+ */
+function resolveDay(word, tz, now = DateTime.now()) {
+  const today = now.setZone(tz).startOf("day");
+  const w = word.trim().toLowerCase().replace(/\s+/g, " ");
+
+  if (w === "today") return today;
+  if (w === "tomorrow" || w === "tmrw") return today.plus({ days: 1 });
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(w)) {
+    const day = DateTime.fromISO(w, { zone: tz });
+    return day.isValid ? day.startOf("day") : null;
+  }
+
+  const next = w.startsWith("next ");
+  const weekday = WEEKDAYS.indexOf(next ? w.slice(5) : w) + 1;
+  if (weekday > 0) {
+    let days = (weekday - today.weekday + 7) % 7;
+    if (days === 0 && next) days = 7;
+    return today.plus({ days });
+  }
+
+  return null;
+}
+
+/**
+ * Parse a duration match into minutes
+ * @param {Array} match - DURATION regex match
+ * @returns {number} - Minutes
+ */
+function durationMinutes(match) {
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  const extra = match[3] ? parseInt(match[3], 10) : 0;
+  return Math.round(unit.startsWith("h") ? amount * 60 + extra : amount);
+}
+
+/**
+ * Parse free text like "Dentist tomorrow 3pm for 45m at Lekki clinic"
+ * into an event in the user's timezone
+ * @param {string} text - Text after the "schedule" keyword
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time (defaults to now)
+ * @returns {Object} - { summary, location, allDay, start, end } with luxon DateTimes
+ */
+function parseEventText(text, tz, now = DateTime.now()) {
+  let rest = ` ${(text || "").trim()} `;
+
+  let duration = DEFAULT_DURATION_MINUTES;
+  const durationMatch = rest.match(DURATION);
+  if (durationMatch) {
+    duration = durationMinutes(durationMatch);
+    rest = rest.replace(durationMatch[0], " ");
+  }
+
+  let hour = null;
+  let minute = 0;
+  const time12 = rest.match(TIME_12H);
+  const time24 = time12 ? null : rest.match(TIME_24H);
+  if (time12) {
+    hour = parseInt(time12[1], 10);
+    if (hour < 1 || hour > 12) {
+      throw new Error('Please give a valid time, e.g. "3pm" or "15:00"');
+    }
+    hour = (hour % 12) + (time12[3].toLowerCase() === "pm" ? 12 : 0);
+    minute = time12[2] ? parseInt(time12[2], 10) : 0;
+    rest = rest.replace(time12[0], " ");
+  } else if (time24) {
+    hour = parseInt(time24[1], 10);
+    minute = parseInt(time24[2], 10);
+    rest = rest.replace(time24[0], " ");
+  } else {
+    const atHour = rest.match(AT_HOUR);
+    if (atHour) {
+      // Read as daytime: "at 9" is 09:00, "at 12" noon, "at 5" 17:00
+      hour = parseInt(atHour[1], 10);
+      if (hour >= 1 && hour <= 6) hour += 12;
+      rest = rest.replace(atHour[0], " ");
+    }
+  }
+
+  let day = null;
+  const dayMatch = rest.match(DAY);
+  if (dayMatch) {
+    day = resolveDay(dayMatch[1], tz, now);
+    rest = rest.replace(dayMatch[0], " ");
+  }
+
+  // Location goes last so "at 3pm" is already consumed as a time
+  let location = "";
+  const locationMatch = rest.match(LOCATION);
+  if (locationMatch) {
+    location = locationMatch[1].trim();
+    rest = rest.slice(0, locationMatch.index) + " ";
+  }
+
+  const summary = rest.replace(/\s+/g, " ").trim();
+  if (!summary) {
+    throw new Error(
+      'Please include a title, e.g. "schedule Dentist tomorrow 3pm"'
+    );
+  }
+  if (hour === null && !day) {
+    throw new Error('Please include a day or time, e.g. "tomorrow 3pm"');
+  }
+  if (duration <= 0) {
+    throw new Error("Duration must be greater than zero");
+  }
+
+  if (hour === null) {
+    return {
+      summary,
+      location,
+      allDay: true,
+      start: day,
+      end: day.plus({ days: 1 }),
+    };
+  }
+
+  let start = (day || now.setZone(tz).startOf("day")).set({ hour, minute });
+  // A bare time that has already passed today means the next occurrence
+  if (!day && start < now) start = start.plus({ days: 1 });
+
+  return {
+    summary,
+    location,
+    allDay: false,
+    start,
+    end: start.plus({ minutes: duration }),
+  };
+}
+
+/**
+ * Parse a day and/or time like "tomorrow 10am", "4pm", "friday" or
+ * "2024-05-01 15:00" (for moving an event)
+ * A bare hour ("4") takes its am/pm from `reference`, so moving a 3pm
+ * event "to 4" means 16:00.
+ * @param {string} text - Day/time text
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time (defaults to now)
+ * @param {DateTime|null} reference - Time the bare hour is relative to
+ * @returns {Object|null} - { day, hour, minute } (day is a luxon DateTime or
+ *   null, hour is null when no time was given), or null if not understood
+ */
+function parseDayAndTime(text, tz, now = DateTime.now(), reference = null) {
+  let rest = ` ${(text || "").trim()} `;
+  let hour = null;
+  let minute = 0;
+
+  const time12 = rest.match(TIME_12H);
+  const time24 = time12 ? null : rest.match(TIME_24H);
+  if (time12) {
+    hour = parseInt(time12[1], 10);
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (time12[3].toLowerCase() === "pm" ? 12 : 0);
+    minute = time12[2] ? parseInt(time12[2], 10) : 0;
+    rest = rest.replace(time12[0], " ");
+  } else if (time24) {
+    hour = parseInt(time24[1], 10);
+    minute = parseInt(time24[2], 10);
+    rest = rest.replace(time24[0], " ");
+  }
+
+  let day = null;
+  const dayMatch = rest.match(DAY);
+  if (dayMatch) {
+    day = resolveDay(dayMatch[1], tz, now);
+    rest = rest.replace(dayMatch[0], " ");
+  }
+
+  const bare = rest.match(/^\s*(?:at\s+)?(\d{1,2})\s*$/i);
+  if (hour === null && bare) {
+    hour = parseInt(bare[1], 10);
+    if (hour > 23) return null;
+    if (reference && hour < 12 && reference.hour >= 12) hour += 12;
+    rest = " ";
+  }
+
+  if (rest.trim() || (hour === null && !day)) return null;
+  return { day, hour, minute };
+}
+
+module.exports = {
+  parseEventText,
+  parseDayAndTime,
+  resolveDay,
+};
@@ -1,6 +1,14 @@
 const { google } = require("googleapis");
+const { DateTime } = require("luxon");
+const logger = require("../lib/logger");
 const { getSettings, hasGoogleCalendarLinked } = require("../users/service");
-const { getUserOAuth2Client, refreshAccessToken } = require("./googleOAuth");
+const {
+  getUserOAuth2Client,
+  refreshAccessToken,
+  isTokenExpiring,
+  isInvalidGrant,
+  handleInvalidGrant,
+} = require("./googleOAuth");
 
 /**
  * Get authentication for a specific user
@@ -13,51 +21,309 @@ async function getUserAuth(uid) {
     throw new Error("User not connected to Google Calendar");
   }
 
-  try {
-    return await getUserOAuth2Client(uid);
-  } catch (error) {
-    // Try to refresh the token
-    await refreshAccessToken(uid);
-    return await getUserOAuth2Client(uid);
+  const auth = await getUserOAuth2Client(uid);
+  if (!isTokenExpiring(auth.credentials)) {
+    return auth;
   }
+
+  // Access token missing or about to expire - refresh it once up front
+  await refreshAccessToken(uid);
+  return await getUserOAuth2Client(uid);
 }
 
 function getCalendarClient(auth) {
   return google.calendar({ version: "v3", auth });
 }
 
+/**
+ * Disconnect the user if Google rejected their grant, then rethrow
+ * @param {string} uid - User ID
+ * @param {Error} error - Error from a Calendar API call
+ */
+async function handleApiError(uid, error) {
+  if (isInvalidGrant(error)) {
+    await handleInvalidGrant(uid);
+  }
+  throw error;
+}
+
 /**
  * List events for a given user and date.
  * @param {string} uid  WhatsApp sender (E.164)
- * @param {Date} date   JS Date (we take the local-day window)
+ * @param {Date} date   JS Date (we take that day's window in the user's tz)
  */
 async function listEvents(uid, date) {
+  const { tz } = await getSettings(uid);
+  const day = DateTime.fromJSDate(date).setZone(tz).startOf("day");
+  return listEventsForDays(uid, day, 1);
+}
+
+/**
+ * List events for a given user over a run of whole days.
+ * Days are calendar days, so a window over a DST change is 23 or 25 hours.
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @param {DateTime} start  First day (luxon, start of day in the user's tz)
+ * @param {number} days  Number of days to cover
+ */
+async function listEventsForDays(uid, start, days = 1) {
+  return listEventsBetween(
+    uid,
+    start.toJSDate(),
+    start.plus({ days }).toJSDate()
+  );
+}
+
+/**
+ * List events for a given user that overlap a time window, merged from
+ * every calendar they chose with the "calendars" command.
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @param {Date} timeMin  Window start
+ * @param {Date} timeMax  Window end
+ * @returns {Array<Object>} Events sorted by start, each with calendarId/calendarName
+ */
+async function listEventsBetween(uid, timeMin, timeMax) {
+  const { tz, calendars } = await getSettings(uid);
+  const auth = await getUserAuth(uid);
+  const calendar = getCalendarClient(auth);
+
+  const events = [];
+  const seen = new Set();
+  for (const cal of calendars) {
+    let res;
+    try {
+      res = await calendar.events
+        .list({
+          calendarId: cal.id,
+          timeMin: timeMin.toISOString(),
+          timeMax: timeMax.toISOString(),
+          singleEvents: true,
+          orderBy: "startTime",
+          timeZone: tz,
+        })
+        .catch((error) => handleApiError(uid, error));
+    } catch (error) {
+      // One calendar that was deleted or unshared shouldn't hide the others
+      if (calendars.length === 1 || isInvalidGrant(error)) throw error;
+      logger.warn("Failed to list events for calendar", {
+        uid,
+        calendarId: cal.id,
+        error: error.message,
+      });
+      continue;
+    }
+
+    for (const e of res.data.items || []) {
+      const start = e.start.dateTime || e.start.date;
+      // The same meeting shows up in every chosen calendar it's on
+      const key = `${e.iCalUID || e.id}:${start}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      events.push({
+        id: e.id,
+        calendarId: cal.id,
+        calendarName: cal.name || cal.id,
+        summary: e.summary || "(no title)",
+        location: e.location || "",
+        start,
+        end: e.end.dateTime || e.end.date,
+        reminders: e.reminders || null,
+      });
+    }
+  }
+
+  return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+}
+
+/**
+ * Get the busy blocks across every calendar the user chose, merged so no
+ * two blocks overlap.
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @param {Date} timeMin  Window start
+ * @param {Date} timeMax  Window end
+ * @returns {Array<Object>} Busy blocks [{ start, end }] (JS Dates), sorted
+ */
+async function queryFreeBusy(uid, timeMin, timeMax) {
+  const { tz, calendars } = await getSettings(uid);
+  const auth = await getUserAuth(uid);
+  const calendar = getCalendarClient(auth);
+
+  const res = await calendar.freebusy
+    .query({
+      requestBody: {
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        timeZone: tz,
+        items: calendars.map((c) => ({ id: c.id })),
+      },
+    })
+    .catch((error) => handleApiError(uid, error));
+
+  const blocks = [];
+  for (const cal of calendars) {
+    const result = res.data.calendars?.[cal.id];
+    if (!result || result.errors?.length) {
+      // One calendar that was deleted or unshared shouldn't hide the others
+      const reason = result?.errors?.[0]?.reason || "missing";
+      if (calendars.length === 1) {
+        throw new Error(`Free/busy unavailable for ${cal.id}: ${reason}`);
+      }
+      logger.warn("Failed to get free/busy for calendar", {
+        uid,
+        calendarId: cal.id,
+        reason,
+      });
+      continue;
+    }
+    for (const b of result.busy || []) {
+      blocks.push({ start: new Date(b.start), end: new Date(b.end) });
+    }
+  }
+
+  blocks.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const block of blocks) {
+    const last = merged[merged.length - 1];
+    if (last && block.start <= last.end) {
+      if (block.end > last.end) last.end = block.end;
+    } else {
+      merged.push({ ...block });
+    }
+  }
+  return merged;
+}
+
+/**
+ * List the calendars in a user's Google Calendar list.
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @returns {Array<Object>} [{ id, name, primary, accessRole }], primary first
+ */
+async function listCalendars(uid) {
+  const auth = await getUserAuth(uid);
+  const calendar = getCalendarClient(auth);
+
+  const res = await calendar.calendarList
+    .list({ maxResults: 250 })
+    .catch((error) => handleApiError(uid, error));
+
+  return (res.data.items || [])
+    .map((c) => ({
+      id: c.id,
+      name: c.summaryOverride || c.summary || c.id,
+      primary: !!c.primary,
+      accessRole: c.accessRole,
+    }))
+    .sort(
+      (a, b) =>
+        Number(b.primary) - Number(a.primary) || a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Build a Calendar API start/end field
+ * @param {DateTime} dt  Time (luxon)
+ * @param {boolean} allDay  true for a date-only field
+ * @param {string} tz  IANA timezone
+ * @returns {Object} { date } or { dateTime, timeZone }
+ */
+function eventTime(dt, allDay, tz) {
+  return allDay
+    ? { date: dt.toISODate() }
+    : { dateTime: dt.toISO({ suppressMilliseconds: true }), timeZone: tz };
+}
+
+/**
+ * Create an event in the user's calendar.
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @param {Object} event  { summary, location, allDay, start, end } (luxon DateTimes)
+ * @returns {Object} Created event incl. htmlLink
+ */
+async function createEvent(uid, event) {
   const { tz, calendarId } = await getSettings(uid);
   const auth = await getUserAuth(uid);
   const calendar = getCalendarClient(auth);
 
-  const start = new Date(date);
-  start.setHours(0, 0, 0, 0);
-  const end = new Date(start);
-  end.setDate(end.getDate() + 1);
+  const res = await calendar.events
+    .insert({
+      calendarId,
+      requestBody: {
+        summary: event.summary,
+        location: event.location || undefined,
+        start: eventTime(event.start, event.allDay, tz),
+        end: eventTime(event.end, event.allDay, tz),
+      },
+    })
+    .catch((error) => handleApiError(uid, error));
 
-  const res = await calendar.events.list({
-    calendarId,
-    timeMin: start.toISOString(),
-    timeMax: end.toISOString(),
-    singleEvents: true,
-    orderBy: "startTime",
-    timeZone: tz,
-  });
-
-  const items = res.data.items || [];
-  return items.map((e) => ({
+  const e = res.data;
+  return {
+    id: e.id,
+    summary: e.summary || "(no title)",
+    location: e.location || "",
+    start: e.start.dateTime || e.start.date,
+    end: e.end.dateTime || e.end.date,
+    htmlLink: e.htmlLink,
+  };
+}
+
+/**
+ * Change an event's title and/or times.
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @param {string} calendarId  Calendar the event is in
+ * @param {string} eventId  Event (or recurring event instance) ID
+ * @param {Object} changes  { summary } and/or { allDay, start, end } (luxon DateTimes)
+ * @returns {Object} Updated event
+ */
+async function updateEvent(uid, calendarId, eventId, changes) {
+  const { tz } = await getSettings(uid);
+  const auth = await getUserAuth(uid);
+  const calendar = getCalendarClient(auth);
+
+  const requestBody = {};
+  if (changes.summary) requestBody.summary = changes.summary;
+  if (changes.start) {
+    requestBody.start = eventTime(changes.start, changes.allDay, tz);
+    requestBody.end = eventTime(changes.end, changes.allDay, tz);
+  }
+
+  const res = await calendar.events
+    .patch({ calendarId, eventId, requestBody })
+    .catch((error) => handleApiError(uid, error));
+
+  const e = res.data;
+  return {
     id: e.id,
+    calendarId,
     summary: e.summary || "(no title)",
     location: e.location || "",
     start: e.start.dateTime || e.start.date,
     end: e.end.dateTime || e.end.date,
-  }));
+    htmlLink: e.htmlLink,
+  };
+}
+
+/**
+ * Delete an event (only this occurrence, for a recurring event instance).
+ * @param {string} uid  WhatsApp sender (E.164)
+ * @param {string} calendarId  Calendar the event is in
+ * @param {string} eventId  Event (or recurring event instance) ID
+ */
+async function deleteEvent(uid, calendarId, eventId) {
+  const auth = await getUserAuth(uid);
+  const calendar = getCalendarClient(auth);
+
+  await calendar.events
+    .delete({ calendarId, eventId })
+    .catch((error) => handleApiError(uid, error));
 }
 
-module.exports = { listEvents };
+module.exports = {
+  listEvents,
+  listEventsForDays,
+  listEventsBetween,
+  listCalendars,
+  queryFreeBusy,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+};
@@ -1,7 +1,28 @@
+const crypto = require("crypto");
 const { google } = require("googleapis");
 const config = require("../lib/config");
 const store = require("../store");
 const logger = require("../lib/logger");
+const { hmacSha256, safeEqual } = require("../lib/signing");
+const { encrypt, decrypt } = require("../lib/encryption");
+const {
+  setSettings,
+  getUserProfile,
+  saveUserProfile,
+} = require("../users/service");
+const { enqueue } = require("../whatsapp/outbox");
+
+// Secret fields of the user:${uid}:gcal hash, encrypted at rest
+const TOKEN_FIELDS = ["refresh_token", "access_token"];
+
+// Used when OAUTH_STATE_SECRET is not set (dev only): links die on restart
+const fallbackStateSecret = crypto.randomBytes(32);
+
+// Refresh access tokens this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// In-flight refreshes per uid, so concurrent callers share one request
+const refreshing = new Map();
 
 /**
  * Create OAuth2 client for Google Calendar
@@ -15,12 +36,143 @@ function createOAuth2Client() {
   );
 }
 
+/**
+ * Store a token field for a user, encrypted
+ * @param {string} uid - User ID
+ * @param {string} field - Hash field (refresh_token, access_token)
+ * @param {string} value - Plaintext token
+ */
+async function setTokenField(uid, field, value) {
+  await store.hset(`user:${uid}:gcal`, field, encrypt(value));
+}
+
+/**
+ * Read and decrypt a token field for a user
+ * @param {string} uid - User ID
+ * @param {string} field - Hash field (refresh_token, access_token)
+ * @returns {string|null} - Plaintext token
+ */
+async function getTokenField(uid, field) {
+  const value = await store.hget(`user:${uid}:gcal`, field);
+  return value ? decrypt(value) : value;
+}
+
+/**
+ * Persist tokens issued by Google (code exchange or refresh)
+ * Only fields present in `tokens` are written.
+ * @param {string} uid - User ID
+ * @param {Object} tokens - { access_token, refresh_token, expiry_date }
+ */
+async function saveTokens(uid, tokens) {
+  if (tokens.refresh_token) {
+    await setTokenField(uid, "refresh_token", tokens.refresh_token);
+  }
+  if (tokens.access_token) {
+    await setTokenField(uid, "access_token", tokens.access_token);
+  }
+  if (tokens.expiry_date) {
+    await store.hset(
+      `user:${uid}:gcal`,
+      "expiry_date",
+      String(tokens.expiry_date)
+    );
+  }
+}
+
+/**
+ * Check whether credentials need a refresh (missing, expired or about to expire)
+ * @param {Object} credentials - OAuth2 client credentials
+ * @returns {boolean} - true if the access token should be refreshed
+ */
+function isTokenExpiring(credentials) {
+  if (!credentials?.access_token || !credentials.expiry_date) return true;
+  return credentials.expiry_date <= Date.now() + EXPIRY_MARGIN_MS;
+}
+
+/**
+ * Create a signed, expiring OAuth state token for a user
+ * Format: base64url(JSON {uid, nonce, exp}) + "." + base64url(HMAC)
+ * @param {string} uid - User ID (phone number)
+ * @returns {string} - State token
+ */
+function createState(uid) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      uid,
+      nonce: crypto.randomBytes(16).toString("hex"),
+      exp: Math.floor(Date.now() / 1000) + config.oauth.stateTtl,
+    })
+  ).toString("base64url");
+  const secret = config.oauth.stateSecret || fallbackStateSecret;
+  return `${payload}.${hmacSha256(secret, payload, "base64url")}`;
+}
+
+/**
+ * Verify an OAuth state token's signature and expiry
+ * @param {string} state - State token
+ * @returns {Object} - { uid, nonce, exp }
+ * @throws {Error} - error.code is "invalid_state" or "expired_state"
+ */
+function verifyState(state) {
+  const fail = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  };
+
+  const [payload, signature] = String(state || "").split(".");
+  const secret = config.oauth.stateSecret || fallbackStateSecret;
+  if (
+    !payload ||
+    !safeEqual(signature, hmacSha256(secret, payload, "base64url"))
+  ) {
+    throw fail("invalid_state", "Invalid OAuth state signature");
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (error) {
+    throw fail("invalid_state", "Malformed OAuth state");
+  }
+  if (!data.uid || !data.nonce || !data.exp) {
+    throw fail("invalid_state", "Incomplete OAuth state");
+  }
+  if (data.exp < Math.floor(Date.now() / 1000)) {
+    throw fail("expired_state", "OAuth state expired");
+  }
+  return data;
+}
+
+/**
+ * Verify an OAuth state token and mark it used so it can't be replayed
+ * @param {string} state - State token
+ * @returns {string} - User ID the token was issued for
+ * @throws {Error} - error.code is "invalid_state", "expired_state" or "used_state"
+ */
+async function consumeState(state) {
+  const { uid, nonce, exp } = verifyState(state);
+  const usedKey = `oauth:state:used:${nonce}`;
+
+  // setnx marks the nonce and sets its TTL atomically, so of two replays
+  // arriving together only one gets through
+  const ttl = Math.max(1, exp - Math.floor(Date.now() / 1000));
+  if (!(await store.setnx(usedKey, uid, ttl))) {
+    const error = new Error("OAuth state already used");
+    error.code = "used_state";
+    throw error;
+  }
+
+  return uid;
+}
+
 /**
  * Generate authorization URL for Google OAuth
  * @param {string} uid - User ID (phone number)
+ * @param {string} state - Signed state token (a fresh one by default)
  * @returns {string} - Authorization URL
  */
-function getAuthUrl(uid) {
+function getAuthUrl(uid, state = createState(uid)) {
   const oauth2Client = createOAuth2Client();
 
   const scopes = [
@@ -28,8 +180,6 @@ function getAuthUrl(uid) {
     "https://www.googleapis.com/auth/calendar.events",
   ];
 
-  const state = Buffer.from(uid).toString("base64"); // Encode uid in state
-
   const authUrl = oauth2Client.generateAuthUrl({
     access_type: "offline",
     scope: scopes,
@@ -58,10 +208,8 @@ async function exchangeCodeForTokens(code, uid) {
       throw new Error("No refresh token received from Google");
     }
 
-    // Store tokens in memory
-    const gcalKey = `user:${uid}:gcal`;
-    await store.hset(gcalKey, "refresh_token", tokens.refresh_token);
-    await store.hset(gcalKey, "access_token", tokens.access_token);
+    // Store tokens (encrypted at rest) and their expiry
+    await saveTokens(uid, tokens);
 
     // Get user info from Google and update profile
     try {
@@ -77,17 +225,13 @@ async function exchangeCodeForTokens(code, uid) {
 
       const email = userInfo.data.emailAddresses?.[0]?.value;
       if (email) {
-        // Update user profile with email from Google
-        const { saveUserProfile } = require("../users/service");
+        // Update user profile with email from Google. The calendar setting
+        // is left alone - users choose calendars with the "calendars" command
         const profile = await getUserProfile(uid);
         if (profile) {
           await saveUserProfile(uid, { ...profile, email });
         }
 
-        // Set calendar ID to user's email
-        const settingsKey = `user:${uid}:settings`;
-        await store.hset(settingsKey, "calendarId", email);
-
         logger.info("User email updated from Google", { uid, email });
       }
     } catch (error) {
@@ -111,21 +255,47 @@ async function exchangeCodeForTokens(code, uid) {
 }
 
 /**
- * Get OAuth2 client for a specific user
+ * Build an OAuth2 client from a user's stored tokens
  * @param {string} uid - User ID
  * @returns {google.auth.OAuth2} - OAuth2 client with user's tokens
  */
-async function getUserOAuth2Client(uid) {
-  const gcalKey = `user:${uid}:gcal`;
-  const refreshToken = await store.hget(gcalKey, "refresh_token");
+async function loadOAuth2Client(uid) {
+  const refreshToken = await getTokenField(uid, "refresh_token");
 
   if (!refreshToken) {
     throw new Error("User not connected to Google Calendar");
   }
 
+  const accessToken = await getTokenField(uid, "access_token");
+  const expiryDate = await store.hget(`user:${uid}:gcal`, "expiry_date");
+
   const oauth2Client = createOAuth2Client();
   oauth2Client.setCredentials({
     refresh_token: refreshToken,
+    access_token: accessToken || undefined,
+    expiry_date: expiryDate ? parseInt(expiryDate, 10) : undefined,
+  });
+
+  return oauth2Client;
+}
+
+/**
+ * Get OAuth2 client for a specific user
+ * Tokens the client refreshes on its own are written back to the store.
+ * @param {string} uid - User ID
+ * @returns {google.auth.OAuth2} - OAuth2 client with user's tokens
+ */
+async function getUserOAuth2Client(uid) {
+  const oauth2Client = await loadOAuth2Client(uid);
+
+  oauth2Client.on("tokens", (tokens) => {
+    saveTokens(uid, tokens)
+      .then(() => logger.info("Persisted refreshed Google tokens", { uid }))
+      .catch((error) =>
+        logger.error("Failed to persist refreshed Google tokens", error, {
+          uid,
+        })
+      );
   });
 
   return oauth2Client;
@@ -133,28 +303,144 @@ async function getUserOAuth2Client(uid) {
 
 /**
  * Refresh access token for a user
+ * Concurrent calls for the same uid share a single request to Google.
  * @param {string} uid - User ID
  * @returns {string} - New access token
  */
 async function refreshAccessToken(uid) {
+  if (!refreshing.has(uid)) {
+    refreshing.set(
+      uid,
+      requestAccessToken(uid).finally(() => refreshing.delete(uid))
+    );
+  }
+  return refreshing.get(uid);
+}
+
+/**
+ * Ask Google for a new access token and store it with its expiry
+ * @param {string} uid - User ID
+ * @returns {string} - New access token
+ */
+async function requestAccessToken(uid) {
   try {
-    const oauth2Client = await getUserOAuth2Client(uid);
+    const oauth2Client = await loadOAuth2Client(uid);
     const { credentials } = await oauth2Client.refreshAccessToken();
 
-    // Update stored access token
-    const gcalKey = `user:${uid}:gcal`;
-    await store.hset(gcalKey, "access_token", credentials.access_token);
+    await saveTokens(uid, credentials);
+    logger.info("Refreshed Google access token", {
+      uid,
+      expiresAt: credentials.expiry_date
+        ? new Date(credentials.expiry_date).toISOString()
+        : null,
+    });
 
     return credentials.access_token;
   } catch (error) {
     logger.error("Failed to refresh access token", error, { uid });
+    if (isInvalidGrant(error)) {
+      await handleInvalidGrant(uid);
+    }
     throw error;
   }
 }
 
+/**
+ * Check whether a Google API error means the grant was revoked or expired
+ * @param {Error} error - Error thrown by googleapis
+ * @returns {boolean} - true for invalid_grant
+ */
+function isInvalidGrant(error) {
+  return (
+    error?.response?.data?.error === "invalid_grant" ||
+    /invalid_grant/.test(error?.message || "")
+  );
+}
+
+/**
+ * Revoke a token with Google
+ * Skipped when GOOGLE_MOCK_REVOKE=true so disconnect works offline.
+ * @param {string} token - Refresh or access token
+ */
+async function revokeToken(token) {
+  if (config.google.mockRevoke) {
+    logger.info("Mock token revoke (test mode)");
+    return;
+  }
+  await createOAuth2Client().revokeToken(token);
+}
+
+/**
+ * Unlink a user's Google Calendar: revoke the grant with Google, delete the
+ * stored tokens and reset the calendar settings
+ * @param {string} uid - User ID
+ * @param {Object} options - { revoke: false to skip the call to Google }
+ * @returns {Object} - { wasLinked, revoked }
+ */
+async function disconnectGoogle(uid, { revoke = true } = {}) {
+  const token =
+    (await getTokenField(uid, "refresh_token")) ||
+    (await getTokenField(uid, "access_token"));
+  let revoked = false;
+
+  if (token && revoke) {
+    try {
+      await revokeToken(token);
+      revoked = true;
+    } catch (error) {
+      // Already revoked on Google's side - still forget it locally
+      logger.warn("Failed to revoke Google token", {
+        uid,
+        error: error.message,
+      });
+    }
+  }
+
+  await store.del(`user:${uid}:gcal`);
+  await setSettings(uid, { calendarId: "primary", calendars: null });
+
+  logger.info("Google Calendar disconnected", {
+    uid,
+    wasLinked: !!token,
+    revoked,
+  });
+
+  return { wasLinked: !!token, revoked };
+}
+
+/**
+ * Mark a user disconnected after Google rejected their grant, and tell them
+ * @param {string} uid - User ID
+ */
+async function handleInvalidGrant(uid) {
+  const { wasLinked } = await disconnectGoogle(uid, { revoke: false });
+  // Another request already handled it
+  if (!wasLinked) return;
+
+  logger.warn("Google grant revoked or expired - user disconnected", { uid });
+  try {
+    await enqueue(
+      uid,
+      "⚠️ Your Google Calendar access has expired or was revoked, so I've disconnected it.\n\nType 'connect' to link your calendar again."
+    );
+  } catch (error) {
+    logger.error("Failed to send disconnect notice", error, { uid });
+  }
+}
+
 module.exports = {
   getAuthUrl,
+  createState,
+  verifyState,
+  consumeState,
   exchangeCodeForTokens,
   getUserOAuth2Client,
   refreshAccessToken,
+  isTokenExpiring,
+  isInvalidGrant,
+  handleInvalidGrant,
+  disconnectGoogle,
+  getTokenField,
+  setTokenField,
+  TOKEN_FIELDS,
 };
@@ -0,0 +1,55 @@
+const store = require("../store");
+const logger = require("../lib/logger");
+const { needsReencrypt, isEnabled } = require("../lib/encryption");
+const { listUsers } = require("../users/service");
+const { getTokenField, setTokenField, TOKEN_FIELDS } = require("./googleOAuth");
+
+/**
+ * Re-encrypt stored Google tokens under the active key: encrypts entries
+ * written in plaintext and rewraps entries using a rotated-out key.
+ * Safe to run repeatedly.
+ * @returns {Object} - { users, fields } counts of rewritten entries
+ */
+async function migrateTokens() {
+  if (!isEnabled()) {
+    logger.warn("Token encryption not configured - skipping token migration");
+    return { users: 0, fields: 0 };
+  }
+
+  let users = 0;
+  let fields = 0;
+
+  for (const uid of await listUsers()) {
+    let changed = false;
+    for (const field of TOKEN_FIELDS) {
+      try {
+        const stored = await store.hget(`user:${uid}:gcal`, field);
+        if (!needsReencrypt(stored)) continue;
+
+        await setTokenField(uid, field, await getTokenField(uid, field));
+        fields++;
+        changed = true;
+      } catch (error) {
+        logger.error("Failed to re-encrypt token", error, { uid, field });
+      }
+    }
+    if (changed) users++;
+  }
+
+  logger.info("Token encryption migration finished", { users, fields });
+  return { users, fields };
+}
+
+// Allow running standalone: npm run migrate:tokens
+if (require.main === module) {
+  migrateTokens()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error("Token encryption migration failed", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateTokens,
+};
@@ -0,0 +1,40 @@
+const logger = require("../lib/logger");
+const { getSettings } = require("../users/service");
+const { buildAgendaMessage, parseAgendaRange } = require("../agenda/agenda");
+
+module.exports = {
+  name: "agenda",
+  pattern: /^agenda(?:\s+(.+))?$/i,
+  usage: "agenda [day|week]",
+  description:
+    'View your schedule (e.g., "agenda tomorrow", "agenda friday morning", "agenda week", "agenda next 3 days")',
+  requiresCalendar: true,
+  async run({ uid, match, reply }) {
+    const { tz } = await getSettings(uid);
+    const range = parseAgendaRange(match[1], tz);
+    if (!range) {
+      await reply(
+        uid,
+        "❌ I couldn't tell which day you mean. Try 'agenda tomorrow', 'agenda friday afternoon', 'agenda 2024-05-01', 'agenda week' or 'agenda next 3 days'."
+      );
+      return;
+    }
+
+    try {
+      const { message, eventCount } = await buildAgendaMessage(uid, range);
+      await reply(uid, message);
+      logger.info("Agenda sent", {
+        to: uid,
+        start: range.start.toISODate(),
+        days: range.days,
+        eventCount,
+      });
+    } catch (error) {
+      logger.error("Failed to fetch agenda", error, { to: uid });
+      await reply(
+        uid,
+        "❌ Sorry, couldn't fetch your calendar. Please try 'connect' again if needed."
+      );
+    }
+  },
+};
@@ -0,0 +1,102 @@
+const logger = require("../lib/logger");
+const { getSettings, setSettings } = require("../users/service");
+const { listCalendars } = require("../calendar/googleCalendar");
+
+/**
+ * Work out which listed calendars a choice like "1 3", "1,3" or "all" picks
+ * @param {string} text - Choice text
+ * @param {Array<Object>} calendars - Calendars from listCalendars
+ * @returns {Array<Object>|null} - Chosen calendars, or null if the choice is invalid
+ */
+function chooseCalendars(text, calendars) {
+  const choice = text.trim().toLowerCase();
+  if (choice === "all") return calendars;
+
+  const numbers = choice.split(/[\s,]+/).map((n) => parseInt(n, 10));
+  if (
+    numbers.some((n) => !Number.isInteger(n) || n < 1 || n > calendars.length)
+  ) {
+    return null;
+  }
+  return [...new Set(numbers)].map((n) => calendars[n - 1]);
+}
+
+/**
+ * Check whether a listed calendar is one the user has chosen
+ * "primary" is an alias for the user's primary calendar.
+ * @param {Object} calendar - Calendar from listCalendars
+ * @param {Array<Object>} chosen - Calendars from settings
+ * @returns {boolean} - true if chosen
+ */
+function isChosen(calendar, chosen) {
+  return chosen.some(
+    (c) => c.id === calendar.id || (c.id === "primary" && calendar.primary)
+  );
+}
+
+module.exports = {
+  name: "calendars",
+  pattern: /^calendars(?:\s+(.+))?$/i,
+  usage: "calendars [n n ...|all]",
+  description:
+    'List your calendars, or choose which feed your agenda and reminders (e.g., "calendars 1 3")',
+  requiresCalendar: true,
+  async run({ uid, match, reply }) {
+    let calendars;
+    try {
+      calendars = await listCalendars(uid);
+    } catch (error) {
+      logger.error("Failed to list calendars", error, { to: uid });
+      await reply(
+        uid,
+        "❌ Sorry, couldn't fetch your calendars. Please try 'connect' again if needed."
+      );
+      return;
+    }
+
+    if (!calendars.length) {
+      await reply(uid, "📚 No calendars found in your Google account.");
+      return;
+    }
+
+    if (match[1]) {
+      const chosen = chooseCalendars(match[1], calendars);
+      if (!chosen) {
+        await reply(
+          uid,
+          `❌ Please choose calendars by number from 1 to ${calendars.length}, or 'all' (e.g., "calendars 1 3")`
+        );
+        return;
+      }
+
+      await setSettings(uid, {
+        calendars: chosen.map((c) => ({ id: c.id, name: c.name })),
+      });
+      await reply(
+        uid,
+        `✅ Your agenda and reminders now use:\n\n${chosen
+          .map((c) => `• ${c.name}`)
+          .join("\n")}`
+      );
+      logger.info("Calendars chosen", {
+        to: uid,
+        calendarIds: chosen.map((c) => c.id),
+      });
+      return;
+    }
+
+    const { calendars: selected } = await getSettings(uid);
+    const lines = calendars.map(
+      (c, i) =>
+        `${i + 1}. ${isChosen(c, selected) ? "✅" : "▫️"} ${c.name}${
+          c.primary ? " (primary)" : ""
+        }`
+    );
+    await reply(
+      uid,
+      `📚 Your calendars:\n\n${lines.join(
+        "\n"
+      )}\n\n✅ = shown in your agenda and reminders. Reply 'calendars 1 3' to choose, or 'calendars all'.`
+    );
+  },
+};
@@ -0,0 +1,44 @@
+const logger = require("../lib/logger");
+const { hasGoogleCalendarLinked } = require("../users/service");
+const { getAuthUrl, disconnectGoogle } = require("../calendar/googleOAuth");
+
+module.exports = [
+  {
+    name: "connect",
+    description: "Link your Google Calendar",
+    // Works for new users and in the middle of onboarding
+    requiresOnboarding: false,
+    async run({ uid, reply }) {
+      if (await hasGoogleCalendarLinked(uid)) {
+        await reply(uid, "✅ Your Google Calendar is already connected!");
+        return;
+      }
+
+      const authUrl = getAuthUrl(uid);
+      await reply(
+        uid,
+        `🔗 Connect your Google Calendar:\n\n${authUrl}\n\nClick the link above to authorize access to your calendar.`
+      );
+      logger.info("OAuth URL sent", { uid });
+    },
+  },
+  {
+    name: "disconnect",
+    description: "Unlink your Google Calendar",
+    async run({ uid, reply }) {
+      if (!(await hasGoogleCalendarLinked(uid))) {
+        await reply(uid, "📅 Your Google Calendar is not connected.");
+        return;
+      }
+
+      const { revoked } = await disconnectGoogle(uid);
+      await reply(
+        uid,
+        `🔌 Your Google Calendar has been disconnected${
+          revoked ? " and my access revoked" : ""
+        }.\n\nType 'connect' any time to link it again.`
+      );
+      logger.info("Google Calendar disconnected via command", { uid });
+    },
+  },
+];
@@ -0,0 +1,130 @@
+const logger = require("../lib/logger");
+const { getSettings } = require("../users/service");
+const { updateEvent } = require("../calendar/googleCalendar");
+const { updateListing } = require("../agenda/agenda");
+const {
+  describeEvent,
+  findEvent,
+  planMove,
+  requestCancel,
+} = require("../agenda/eventChanges");
+
+// References need a digit (a number or a time), so "move goal ..." and
+// chatter like "cancel that" aren't taken as event commands
+const REF = "((?!goal\\b)[^\\n]*?\\d[^\\n]*?)";
+
+module.exports = [
+  {
+    name: "move",
+    pattern: new RegExp(`^move\\s+${REF}\\s+to\\s+(.+)$`, "i"),
+    usage: "move <n> to <time|day>",
+    description:
+      'Move an event from your last agenda (e.g., "move 2 to 4pm", "move 2 to friday 10am")',
+    requiresCalendar: true,
+    async run({ uid, match, reply }) {
+      const { tz } = await getSettings(uid);
+      const found = await findEvent(uid, match[1], tz);
+      if (found.error) {
+        await reply(uid, found.error);
+        return;
+      }
+
+      let times;
+      try {
+        times = planMove(found.event, match[2], tz);
+      } catch (error) {
+        await reply(uid, `❌ ${error.message}`);
+        return;
+      }
+
+      try {
+        const event = await updateEvent(
+          uid,
+          found.event.calendarId,
+          found.event.id,
+          times
+        );
+        if (found.position) {
+          await updateListing(uid, found.position, {
+            ...found.event,
+            ...event,
+          });
+        }
+        await reply(
+          uid,
+          `🔀 Moved: ${event.summary}\n🗓️ ${describeEvent(event, tz)}`
+        );
+        logger.info("Event moved", { to: uid, eventId: event.id });
+      } catch (error) {
+        logger.error("Failed to move event", error, { to: uid });
+        await reply(
+          uid,
+          "❌ Sorry, couldn't move that event. You may not be allowed to edit that calendar."
+        );
+      }
+    },
+  },
+  {
+    name: "rename",
+    pattern: new RegExp(`^rename\\s+${REF}\\s+to\\s+(.+)$`, "is"),
+    usage: "rename <n> to <title>",
+    description:
+      'Rename an event from your last agenda (e.g., "rename 2 to 1:1 with Ada")',
+    requiresCalendar: true,
+    async run({ uid, match, reply }) {
+      const { tz } = await getSettings(uid);
+      const found = await findEvent(uid, match[1], tz);
+      if (found.error) {
+        await reply(uid, found.error);
+        return;
+      }
+
+      try {
+        const event = await updateEvent(
+          uid,
+          found.event.calendarId,
+          found.event.id,
+          { summary: match[2].trim() }
+        );
+        if (found.position) {
+          await updateListing(uid, found.position, {
+            ...found.event,
+            ...event,
+          });
+        }
+        await reply(
+          uid,
+          `✏️ Renamed "${found.event.summary}" → "${event.summary}"`
+        );
+        logger.info("Event renamed", { to: uid, eventId: event.id });
+      } catch (error) {
+        logger.error("Failed to rename event", error, { to: uid });
+        await reply(
+          uid,
+          "❌ Sorry, couldn't rename that event. You may not be allowed to edit that calendar."
+        );
+      }
+    },
+  },
+  {
+    name: "cancel",
+    pattern: new RegExp(`^cancel\\s+${REF}$`, "i"),
+    usage: "cancel <n>",
+    description:
+      "Delete an event from your last agenda (asks you to confirm first)",
+    requiresCalendar: true,
+    async run({ uid, match, reply }) {
+      const { tz } = await getSettings(uid);
+      const found = await findEvent(uid, match[1], tz);
+      if (found.error) {
+        await reply(uid, found.error);
+        return;
+      }
+
+      await reply(
+        uid,
+        await requestCancel(uid, found.event, found.position, tz)
+      );
+    },
+  },
+];
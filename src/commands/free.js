@@ -0,0 +1,41 @@
+const logger = require("../lib/logger");
+const { getSettings } = require("../users/service");
+const { buildFreeMessage, parseFreeQuery } = require("../agenda/free");
+
+module.exports = {
+  name: "free",
+  pattern: /^free(?:\s+(.+))?$/i,
+  usage: "free [length] [day|week]",
+  description:
+    'Find open slots in your working hours (e.g., "free tomorrow", "free 1h this week")',
+  requiresCalendar: true,
+  async run({ uid, match, reply }) {
+    const { tz } = await getSettings(uid);
+    const query = parseFreeQuery(match[1], tz);
+    if (!query) {
+      await reply(
+        uid,
+        "❌ I couldn't tell what you're looking for. Try 'free', 'free tomorrow', 'free 1h friday' or 'free 30m this week'."
+      );
+      return;
+    }
+
+    try {
+      const { message, slotCount } = await buildFreeMessage(uid, query);
+      await reply(uid, message);
+      logger.info("Free slots sent", {
+        to: uid,
+        start: query.range.start.toISODate(),
+        days: query.range.days,
+        minutes: query.minutes,
+        slotCount,
+      });
+    } catch (error) {
+      logger.error("Failed to find free slots", error, { to: uid });
+      await reply(
+        uid,
+        "❌ Sorry, couldn't check your calendar. Please try 'connect' again if needed."
+      );
+    }
+  },
+};
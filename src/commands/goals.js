@@ -0,0 +1,114 @@
+const {
+  getGoals,
+  addGoal,
+  completeGoal,
+  deleteGoal,
+  moveGoal,
+  addGoalNote,
+  formatGoals,
+  formatGoal,
+} = require("../users/goals");
+
+module.exports = [
+  {
+    name: "add goal",
+    pattern: /^add goal:(.*)$/is,
+    usage: "add goal: <text>",
+    description: "Add a new goal",
+    async run({ uid, match, reply }) {
+      try {
+        const { goal, position } = await addGoal(uid, match[1]);
+        await reply(uid, `🎯 Goal ${position} added: ${goal.text}`);
+      } catch (error) {
+        await reply(uid, `❌ ${error.message}`);
+      }
+    },
+  },
+  {
+    name: "list goals",
+    aliases: ["goals"],
+    description: "List your goals",
+    async run({ uid, reply }) {
+      const goals = await getGoals(uid);
+      if (!goals.length) {
+        await reply(
+          uid,
+          "🎯 You have no goals yet. Add one with 'add goal: <text>'."
+        );
+        return;
+      }
+      await reply(uid, `🎯 Your goals:\n\n${formatGoals(goals)}`);
+    },
+  },
+  {
+    name: "done",
+    pattern: /^done (\d+)$/i,
+    usage: "done <n>",
+    description: "Mark goal n as completed",
+    async run({ uid, match, reply }) {
+      try {
+        const goal = await completeGoal(uid, match[1]);
+        await reply(uid, `✅ Nice work! Completed: ${goal.text}`);
+      } catch (error) {
+        await reply(uid, `❌ ${error.message}`);
+      }
+    },
+  },
+  {
+    name: "delete goal",
+    pattern: /^delete goal (\d+)$/i,
+    usage: "delete goal <n>",
+    description: "Remove goal n",
+    async run({ uid, match, reply }) {
+      try {
+        const goal = await deleteGoal(uid, match[1]);
+        await reply(uid, `🗑️ Deleted goal: ${goal.text}`);
+      } catch (error) {
+        await reply(uid, `❌ ${error.message}`);
+      }
+    },
+  },
+  {
+    name: "move goal",
+    pattern: /^move goal (\d+) to (\d+)$/i,
+    usage: "move goal <n> to <m>",
+    description: "Reorder your goals",
+    async run({ uid, match, reply }) {
+      try {
+        const goals = await moveGoal(uid, match[1], match[2]);
+        await reply(uid, `🔀 Goals reordered:\n\n${formatGoals(goals)}`);
+      } catch (error) {
+        await reply(uid, `❌ ${error.message}`);
+      }
+    },
+  },
+  {
+    name: "note",
+    pattern: /^note (\d+):(.*)$/is,
+    usage: "note <n>: <text>",
+    description: "Add a note to goal n",
+    async run({ uid, match, reply }) {
+      try {
+        const goal = await addGoalNote(uid, match[1], match[2]);
+        await reply(uid, `📝 Note added to "${goal.text}"`);
+      } catch (error) {
+        await reply(uid, `❌ ${error.message}`);
+      }
+    },
+  },
+  {
+    name: "goal",
+    pattern: /^goal (\d+)$/i,
+    usage: "goal <n>",
+    description: "Show goal n with its notes",
+    async run({ uid, match, reply }) {
+      const goals = await getGoals(uid);
+      const position = parseInt(match[1], 10);
+      const goal = goals[position - 1];
+      await reply(
+        uid,
+        goal ? formatGoal(goal, position) : `❌ Goal ${position} not found`
+      );
+    },
+  },
+];
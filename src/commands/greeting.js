@@ -0,0 +1,13 @@
+const logger = require("../lib/logger");
+
+module.exports = {
+  name: "hi",
+  aliases: ["hello"],
+  description: "Say hello",
+  hidden: true,
+  async run({ uid, profile, reply }) {
+    const greeting = profile ? `Hello ${profile.name}! 👋` : "Hello! 👋";
+    await reply(uid, greeting);
+    logger.info("Greeting sent", { to: uid });
+  },
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  name: "help",
+  description: "Show this help message",
+  async run({ uid, reply }) {
+    // Required here: the registry loads this module
+    const { buildHelp } = require("./index");
+    await reply(uid, buildHelp());
+  },
+};
@@ -0,0 +1,128 @@
+// Command registry: every WhatsApp command is a module in this directory.
+// A command declares:
+//   name               - Primary command word(s), e.g. "agenda"
+//   aliases            - Other exact spellings, e.g. ["goals"] (optional)
+//   pattern            - RegExp matched against the trimmed message; defaults
+//                        to an exact, case-insensitive match of name/aliases
+//   usage, description - Help line: "• <usage> - <description>"
+//   hidden             - Leave out of help (optional)
+//   requiresOnboarding - false lets users run it before/while onboarding (default true)
+//   requiresCalendar   - Needs a linked Google Calendar (default false)
+//   run(ctx)           - ctx: { uid, text, match, profile, reply }
+// Help text and isCommand are generated from these, in registration order.
+const logger = require("../lib/logger");
+const { hasGoogleCalendarLinked } = require("../users/service");
+
+const commands = [];
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Add a command (or an array of commands) to the registry
+ * @param {Object|Array<Object>} definition - Command definition(s)
+ */
+function register(definition) {
+  for (const command of [].concat(definition)) {
+    if (!command.name || typeof command.run !== "function") {
+      throw new Error(
+        `Invalid command definition: ${command.name || "(unnamed)"}`
+      );
+    }
+    const words = [command.name, ...(command.aliases || [])];
+    commands.push({
+      aliases: [],
+      requiresOnboarding: true,
+      requiresCalendar: false,
+      hidden: false,
+      usage: command.name,
+      ...command,
+      pattern:
+        command.pattern ||
+        new RegExp(`^(?:${words.map(escapeRegExp).join("|")})$`, "i"),
+    });
+  }
+}
+
+/**
+ * Find the command a message invokes
+ * @param {string} text - Message text
+ * @returns {Object|null} - { command, match } or null if not a command
+ */
+function findCommand(text) {
+  const trimmed = (text || "").trim();
+  for (const command of commands) {
+    const match = trimmed.match(command.pattern);
+    if (match) return { command, match };
+  }
+  return null;
+}
+
+/**
+ * Check if message is a command
+ * @param {string} text - Message text
+ * @returns {boolean} - true if it's a command
+ */
+function isCommand(text) {
+  return !!findCommand(text);
+}
+
+/**
+ * Build the help message from the registered commands
+ * @returns {string} - Help text
+ */
+function buildHelp() {
+  const lines = commands
+    .filter((c) => !c.hidden)
+    .map((c) => `• ${c.usage} - ${c.description}`);
+  return `🤖 Available commands:\n\n${lines.join(
+    "\n"
+  )}\n\nNeed help? Just ask!`;
+}
+
+/**
+ * Run a matched command, enforcing its calendar requirement
+ * @param {Object} found - { command, match } from findCommand
+ * @param {Object} ctx - { uid, text, profile, reply }
+ */
+async function runCommand({ command, match }, ctx) {
+  if (command.requiresCalendar && !(await hasGoogleCalendarLinked(ctx.uid))) {
+    await ctx.reply(
+      ctx.uid,
+      `📅 You're not connected to Google Calendar yet.\n\nType 'connect' to link your calendar before using '${command.name}'.`
+    );
+    return;
+  }
+
+  logger.info("Running command", { uid: ctx.uid, command: command.name });
+  await command.run({ ...ctx, match });
+}
+
+// Registration order is help order
+register(require("./connect"));
+register(require("./agenda"));
+register(require("./calendars"));
+register(require("./free"));
+register(require("./schedule"));
+register(require("./events"));
+register(require("./settings"));
+register(require("./goals"));
+register(require("./review"));
+register(require("./whoami"));
+register(require("./onboard"));
+register(require("./help"));
+register(require("./greeting"));
+
+module.exports = {
+  register,
+  findCommand,
+  isCommand,
+  buildHelp,
+  runCommand,
+};
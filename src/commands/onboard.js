@@ -0,0 +1,12 @@
+const logger = require("../lib/logger");
+const { startOnboarding } = require("../users/onboarding");
+
+module.exports = {
+  name: "onboard",
+  description: "Start onboarding process",
+  async run({ uid, reply }) {
+    const onboardingResponse = await startOnboarding(uid);
+    await reply(uid, onboardingResponse.message);
+    logger.info("Onboarding started via command", { uid });
+  },
+};
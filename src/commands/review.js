@@ -0,0 +1,31 @@
+const logger = require("../lib/logger");
+const {
+  startReview,
+  getReviewHistory,
+  formatReviewHistory,
+} = require("../agenda/review");
+
+module.exports = [
+  {
+    name: "review",
+    description: "Review what got done today",
+    async run({ uid, reply }) {
+      const reviewResponse = await startReview(uid);
+      await reply(uid, reviewResponse.message);
+      logger.info("Review started via command", { uid });
+    },
+  },
+  {
+    name: "review history",
+    description: "Show your recent daily reviews",
+    async run({ uid, reply }) {
+      const reviews = (await getReviewHistory(uid)).slice(0, 7);
+      await reply(
+        uid,
+        reviews.length
+          ? `📓 Your recent reviews:\n\n${formatReviewHistory(reviews)}`
+          : "📓 No reviews yet. Type 'review' to review your day."
+      );
+    },
+  },
+];
@@ -0,0 +1,45 @@
+const logger = require("../lib/logger");
+const { getSettings } = require("../users/service");
+const { createEvent } = require("../calendar/googleCalendar");
+const { parseEventText } = require("../calendar/eventParser");
+
+module.exports = {
+  name: "schedule",
+  pattern: /^schedule\s+(.+)$/is,
+  usage: "schedule <text>",
+  description:
+    'Create an event (e.g., "schedule Dentist tomorrow 3pm for 45m at Lekki clinic")',
+  requiresCalendar: true,
+  async run({ uid, match, reply }) {
+    const { tz } = await getSettings(uid);
+    let parsed;
+    try {
+      parsed = parseEventText(match[1], tz);
+    } catch (error) {
+      await reply(uid, `❌ ${error.message}`);
+      return;
+    }
+
+    try {
+      const event = await createEvent(uid, parsed);
+      const when = parsed.allDay
+        ? `${parsed.start.toFormat("ccc d LLL")} (all day)`
+        : `${parsed.start.toFormat("ccc d LLL, HH:mm")}–${parsed.end.toFormat(
+            "HH:mm"
+          )}`;
+      const where = event.location ? `\n📍 ${event.location}` : "";
+      const link = event.htmlLink ? `\n🔗 ${event.htmlLink}` : "";
+      await reply(
+        uid,
+        `✅ Scheduled: ${event.summary}\n🗓️ ${when}${where}${link}`
+      );
+      logger.info("Event scheduled", { to: uid, eventId: event.id });
+    } catch (error) {
+      logger.error("Failed to create event", error, { to: uid });
+      await reply(
+        uid,
+        "❌ Sorry, couldn't create that event. Please try 'connect' again if needed."
+      );
+    }
+  },
+};
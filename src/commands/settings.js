@@ -0,0 +1,100 @@
+const { DateTime } = require("luxon");
+const logger = require("../lib/logger");
+const { resolveTimezone } = require("../lib/timezone");
+const { parseClock } = require("../intent/rules");
+const { getSettings, setSettings } = require("../users/service");
+const { syncTimezones } = require("../agenda/scheduler");
+
+module.exports = [
+  {
+    name: "set tz",
+    pattern: /^set tz\s+(.+)$/i,
+    usage: "set tz <timezone>",
+    description:
+      'Set your timezone (e.g., "set tz America/New_York", "set tz Lagos", "set tz UTC+1")',
+    async run({ uid, match, reply }) {
+      const input = match[1].trim();
+      const { tz, suggestions } = resolveTimezone(input);
+      if (!tz) {
+        const hint = suggestions.length
+          ? `Did you mean ${suggestions.join(" or ")}?`
+          : 'Try a city or zone name like "Africa/Lagos", or a UTC offset like "UTC+1".';
+        await reply(
+          uid,
+          `❌ I don't recognise the timezone "${input}". ${hint}`
+        );
+        logger.info("Unknown timezone rejected", { to: uid, input });
+        return;
+      }
+
+      await setSettings(uid, { tz });
+      await syncTimezones();
+      const s = await getSettings(uid);
+      const localTime = DateTime.now()
+        .setZone(s.tz)
+        .toFormat("ccc d LLL, HH:mm");
+      await reply(
+        uid,
+        `⏰ Timezone updated → ${s.tz}\n🕒 Your local time: ${localTime}`
+      );
+      logger.info("Timezone updated", { to: uid, tz: s.tz, input });
+    },
+  },
+  {
+    name: "set hours",
+    pattern: /^set hours\s+(.+?)\s*(?:-|–|to)\s*(.+)$/i,
+    usage: "set hours <start>-<end>",
+    description:
+      'Working hours "free" searches (e.g., "set hours 9am-5pm", default 09:00-17:00)',
+    async run({ uid, match, reply }) {
+      const workStart = parseClock(match[1]);
+      let workEnd = parseClock(match[2], workStart);
+      // "9-5" means 9am to 5pm
+      if (
+        workStart &&
+        workEnd &&
+        workEnd <= workStart &&
+        /^\d+$/.test(match[2])
+      ) {
+        workEnd = parseClock(`${match[2]}pm`);
+      }
+      if (!workStart || !workEnd || workEnd <= workStart) {
+        await reply(
+          uid,
+          '❌ Please give a start and end time on the same day (e.g., "set hours 9am-5pm" or "set hours 08:30-16:30")'
+        );
+        return;
+      }
+
+      await setSettings(uid, { workStart, workEnd });
+      await reply(uid, `🕘 Working hours updated → ${workStart}–${workEnd}`);
+      logger.info("Working hours updated", { to: uid, workStart, workEnd });
+    },
+  },
+  {
+    name: "set remind",
+    pattern: /^set remind\s+(.+)$/i,
+    usage: "set remind <minutes|off>",
+    description: "Minutes before events to remind you (default 10)",
+    async run({ uid, match, reply }) {
+      const value = match[1].trim().toLowerCase();
+      const minutes = value === "off" ? 0 : parseInt(value, 10);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+        await reply(
+          uid,
+          "❌ Please give minutes between 0 and 1440, or 'off' (e.g., \"set remind 15\")"
+        );
+        return;
+      }
+
+      await setSettings(uid, { remindMinutes: minutes });
+      await reply(
+        uid,
+        minutes
+          ? `⏰ Reminders will arrive ${minutes} min before each event`
+          : "🔕 Event reminders turned off"
+      );
+      logger.info("Reminder lead time updated", { to: uid, minutes });
+    },
+  },
+];
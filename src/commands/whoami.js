@@ -0,0 +1,21 @@
+const { hasGoogleCalendarLinked } = require("../users/service");
+
+module.exports = {
+  name: "whoami",
+  description: "Show your profile info",
+  async run({ uid, profile, reply }) {
+    if (!profile) {
+      await reply(uid, "❌ Profile not found. Please complete onboarding.");
+      return;
+    }
+
+    const isLinked = await hasGoogleCalendarLinked(uid);
+    const status = isLinked ? "✅ Connected" : "❌ Not connected";
+    const whoamiText = `👤 Your Profile:
+Name: ${profile.name}
+Email: ${profile.email}
+Phone: ${profile.phone || "Not provided"}
+Calendar: ${status}`;
+    await reply(uid, whoamiText);
+  },
+};
@@ -1,6 +1,10 @@
 const createServer = require("./server");
 const config = require("./lib/config");
 const logger = require("./lib/logger");
+const { startScheduler, stopScheduler } = require("./agenda/scheduler");
+const { startWorker, stopWorker } = require("./whatsapp/outbox");
+const { migrateTokens } = require("./calendar/migrateTokens");
+const { closeRedisClient } = require("./lib/redisClient");
 
 /**
  * Start the WhatsApp Productivity Assistant server
@@ -19,14 +23,26 @@ async function startServer() {
       });
     });
 
+    // Encrypt any tokens still stored in plaintext or under an old key
+    await migrateTokens();
+
+    // Start outbound delivery and scheduled jobs
+    startWorker();
+    await startScheduler();
+
     // Graceful shutdown
     const shutdown = async (signal) => {
       logger.info(`Received ${signal}, shutting down gracefully`);
+      stopScheduler();
+      stopWorker();
 
       server.close(async () => {
         logger.info("HTTP server closed");
-          logger.info("Graceful shutdown completed");
-          process.exit(0);
+        if (config.store.backend === "redis") {
+          await closeRedisClient();
+        }
+        logger.info("Graceful shutdown completed");
+        process.exit(0);
       });
     };
 
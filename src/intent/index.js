@@ -0,0 +1,182 @@
+// Intent layer: turns free text into one of the bot's commands.
+// Uses an OpenAI-compatible model when OPENAI_API_KEY is set, falling back to
+// the deterministic rules in ./rules.js when it isn't or the call fails.
+const { DateTime } = require("luxon");
+const config = require("../lib/config");
+const logger = require("../lib/logger");
+const { parseWithOpenAI } = require("./openai");
+const { parseWithRules } = require("./rules");
+
+const INTENTS = [
+  "agenda",
+  "find_free",
+  "schedule",
+  "move_event",
+  "add_goal",
+  "list_goals",
+  "complete_goal",
+  "set_timezone",
+  "set_remind",
+  "connect",
+  "review",
+  "whoami",
+  "help",
+];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const CLOCK_24H = /^([01]\d|2[0-3]):[0-5]\d$/;
+const AGENDA_RANGE = /^(this week|next week|(?:next )?\d{1,2} days)$/i;
+const PERIODS = ["morning", "afternoon", "evening"];
+
+/**
+ * Check an intent object has the fields its command needs
+ * Model output is untrusted, so anything malformed is dropped.
+ * @param {Object} intent - Intent object
+ * @returns {boolean} - true if usable
+ */
+function isValidIntent(intent) {
+  if (!intent || !INTENTS.includes(intent.intent)) return false;
+  if (intent.date && !ISO_DATE.test(intent.date)) return false;
+  if (intent.time && !CLOCK_24H.test(intent.time)) return false;
+  if (intent.newTime && !CLOCK_24H.test(intent.newTime)) return false;
+
+  switch (intent.intent) {
+    case "agenda":
+      return (
+        (!intent.range || AGENDA_RANGE.test(intent.range)) &&
+        (!intent.period || PERIODS.includes(intent.period))
+      );
+    case "find_free":
+      return (
+        (!intent.range || AGENDA_RANGE.test(intent.range)) &&
+        (!intent.durationMinutes || intent.durationMinutes > 0)
+      );
+    case "schedule":
+      return !!(
+        intent.text ||
+        (intent.summary && (intent.date || intent.time))
+      );
+    case "move_event":
+      return !!(intent.time && intent.newTime);
+    case "add_goal":
+      return typeof intent.text === "string" && !!intent.text.trim();
+    case "complete_goal":
+      return Number.isInteger(Number(intent.position));
+    case "set_timezone":
+      return typeof intent.timezone === "string" && !!intent.timezone.trim();
+    case "set_remind":
+      return Number.isInteger(Number(intent.minutes));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Work out what a free-text message asks for
+ * @param {string} text - Free-text message
+ * @param {Object} options - { tz, now }
+ * @returns {Object|null} - Intent object with `source` ("openai" | "rules"), or null
+ */
+async function parseIntent(text, { tz, now = DateTime.now() }) {
+  if (config.openai.apiKey) {
+    try {
+      const intent = await parseWithOpenAI(text, tz, now);
+      if (!intent) return null;
+      if (isValidIntent(intent)) return { ...intent, source: "openai" };
+      logger.warn("Intent model returned an unusable intent", {
+        intent: intent.intent,
+      });
+    } catch (error) {
+      logger.warn("Intent model failed - using rule-based parser", {
+        error: error.message,
+        status: error.response?.status,
+      });
+    }
+  }
+
+  const intent = parseWithRules(text, tz, now);
+  return isValidIntent(intent) ? { ...intent, source: "rules" } : null;
+}
+
+/**
+ * Build the "schedule ..." command text for a structured schedule intent
+ * @param {Object} intent - { summary, date, time, durationMinutes, location }
+ * @returns {string} - Command text understood by parseEventText
+ */
+function scheduleText(intent) {
+  const parts = [intent.summary.trim()];
+  if (intent.date) parts.push(intent.date);
+  if (intent.time) parts.push(intent.time);
+  if (intent.time && intent.durationMinutes > 0) {
+    parts.push(`for ${Math.round(intent.durationMinutes)}m`);
+  }
+  if (intent.location) parts.push(`at ${intent.location.trim()}`);
+  return parts.join(" ");
+}
+
+/**
+ * Map an intent to the command text the registry understands, or to a
+ * direct reply when no command can do it
+ * @param {Object} intent - Intent object from parseIntent
+ * @returns {Object} - { command } or { message }
+ */
+function intentToCommand(intent) {
+  switch (intent.intent) {
+    case "agenda":
+      if (intent.range) return { command: `agenda ${intent.range}` };
+      if (intent.period) {
+        return { command: `agenda ${intent.date || "today"} ${intent.period}` };
+      }
+      return { command: intent.date ? `agenda ${intent.date}` : "agenda" };
+    case "find_free": {
+      const parts = ["free"];
+      if (intent.durationMinutes) {
+        parts.push(`${Math.round(intent.durationMinutes)}m`);
+      }
+      if (intent.range || intent.date) parts.push(intent.range || intent.date);
+      return { command: parts.join(" ") };
+    }
+    case "schedule":
+      return {
+        command: `schedule ${intent.text ? intent.text : scheduleText(intent)}`,
+      };
+    case "move_event":
+      return {
+        command: `move ${intent.date ? `${intent.date} ` : ""}${
+          intent.time
+        } to ${intent.newTime}`,
+      };
+    case "add_goal":
+      return { command: `add goal: ${intent.text.trim()}` };
+    case "list_goals":
+      return { command: "list goals" };
+    case "complete_goal":
+      return { command: `done ${Number(intent.position)}` };
+    case "set_timezone":
+      return { command: `set tz ${intent.timezone.trim()}` };
+    case "set_remind": {
+      const minutes = Number(intent.minutes);
+      return { command: `set remind ${minutes ? minutes : "off"}` };
+    }
+    default:
+      return { command: intent.intent };
+  }
+}
+
+/**
+ * Interpret a free-text message as a command
+ * @param {string} text - Free-text message
+ * @param {Object} options - { tz, now }
+ * @returns {Object|null} - { intent, command } or { intent, message }, or null if not understood
+ */
+async function interpret(text, { tz, now = DateTime.now() }) {
+  const intent = await parseIntent(text, { tz, now });
+  if (!intent) return null;
+  return { intent, ...intentToCommand(intent) };
+}
+
+module.exports = {
+  interpret,
+  parseIntent,
+  intentToCommand,
+};
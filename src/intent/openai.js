@@ -0,0 +1,93 @@
+const axios = require("axios");
+const { DateTime } = require("luxon");
+const config = require("../lib/config");
+const logger = require("../lib/logger");
+
+/**
+ * Build the system prompt describing the intents the bot understands
+ * @param {string} tz - User's IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {string} - Prompt
+ */
+function systemPrompt(tz, now) {
+  const local = now.setZone(tz);
+  return `You turn WhatsApp messages to a calendar and goals assistant into JSON.
+It is now ${local.toFormat("cccc")} ${local.toISO({
+    suppressMilliseconds: true,
+  })} in the user's timezone ${tz}.
+Resolve relative dates to "YYYY-MM-DD" and times to 24-hour "HH:mm" in that timezone.
+
+Reply with one JSON object with an "intent" field and only the fields that apply:
+- agenda: date, period ("morning" | "afternoon" | "evening") - what's on the calendar;
+  for several days use range instead ("this week" | "next week" | "next N days")
+- find_free: date or range, durationMinutes - open slots ("when am I free")
+- schedule: summary, date, time, durationMinutes, location - create an event (omit time for all-day)
+- move_event: date, time (current start), newTime - move an existing event
+- add_goal: text
+- list_goals
+- complete_goal: position (number)
+- set_timezone: timezone (IANA name if you know it, otherwise what the user said)
+- set_remind: minutes (0 turns reminders off)
+- connect - link Google Calendar (requests to unlink it are unknown: that must be typed as "disconnect")
+- review - review the day
+- whoami, help
+- unknown - anything else (small talk, unclear requests)`;
+}
+
+/**
+ * Ask an OpenAI-compatible chat completions endpoint for the intent
+ * (OPENAI_BASE_URL can point at a local stub or another provider)
+ * @param {string} text - Free-text message
+ * @param {string} tz - User's IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {Object|null} - Intent object, or null for "unknown"
+ * @throws {Error} - On request failures or unusable responses
+ */
+async function parseWithOpenAI(text, tz, now = DateTime.now()) {
+  const { apiKey, baseUrl, model, timeoutMs } = config.openai;
+
+  const response = await axios.post(
+    `${baseUrl}/chat/completions`,
+    {
+      model,
+      temperature: 0,
+      response_format: { type: "json_object" },
+      messages: [
+        { role: "system", content: systemPrompt(tz, now) },
+        { role: "user", content: text },
+      ],
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+      },
+      timeout: timeoutMs,
+    }
+  );
+
+  const content = response.data?.choices?.[0]?.message?.content;
+  if (!content) {
+    throw new Error("Empty response from intent model");
+  }
+
+  let intent;
+  try {
+    intent = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Intent model returned invalid JSON: ${error.message}`);
+  }
+
+  logger.info("Intent model response", {
+    provider: "openai",
+    model,
+    intent: intent.intent,
+    usage: response.data.usage?.total_tokens,
+  });
+
+  return intent.intent && intent.intent !== "unknown" ? intent : null;
+}
+
+module.exports = {
+  parseWithOpenAI,
+};
@@ -0,0 +1,203 @@
+const { DateTime } = require("luxon");
+const { resolveDay } = require("../calendar/eventParser");
+const { resolveTimezone } = require("../lib/timezone");
+
+const DAY_WORD =
+  /\b(today|tonight|tomorrow|tmrw|(?:next\s+)?(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)|\d{4}-\d{2}-\d{2})\b/i;
+const PERIOD = /\b(morning|afternoon|evening|tonight)\b/i;
+const RANGE = /\b(this week|next week|(?:next )?\d{1,2} days)\b/i;
+const CLOCK = "(\\d{1,2}(?::[0-5]\\d)?\\s*(?:am|pm)?)";
+
+/**
+ * Parse a clock time like "3pm", "3:30 pm", "15:00" or a bare "4"
+ * A bare hour takes its am/pm from `reference` (so "3pm to 4" means 16:00).
+ * @param {string} text - Time text
+ * @param {string|null} reference - Earlier time in the sentence, "HH:mm"
+ * @returns {string|null} - "HH:mm" or null if not a time
+ */
+function parseClock(text, reference = null) {
+  const match = (text || "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d{1,2})(?::([0-5]\d))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (match[3]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[3] === "pm" ? 12 : 0);
+  } else if (reference && hour <= 12 && parseInt(reference, 10) >= 12) {
+    hour = (hour % 12) + 12;
+  }
+  if (hour > 23) return null;
+
+  return `${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+}
+
+/**
+ * Find a day expression in free text
+ * @param {string} text - Message
+ * @param {string} tz - IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {string|null} - ISO date or null if none mentioned
+ */
+function findDate(text, tz, now) {
+  const match = text.match(DAY_WORD);
+  if (!match) return null;
+  const word = match[1].toLowerCase() === "tonight" ? "today" : match[1];
+  return resolveDay(word, tz, now)?.toISODate() || null;
+}
+
+/**
+ * Deterministic intent parser used when no language model is configured
+ * (or it fails). Recognises common phrasings of the bot's commands.
+ * @param {string} text - Free-text message
+ * @param {string} tz - User's IANA timezone
+ * @param {DateTime} now - Reference time
+ * @returns {Object|null} - Intent object or null if not understood
+ */
+function parseWithRules(text, tz, now = DateTime.now()) {
+  const clean = (text || "").trim().replace(/\s+/g, " ");
+  const lower = clean.toLowerCase().replace(/[?!.]+$/, "");
+  let match;
+
+  if (/\b(what can you do|how do(?:es)? (?:this|you) work)\b/.test(lower)) {
+    return { intent: "help" };
+  }
+
+  if (/\b(connect|link)\b.*\b(calendar|google)\b/.test(lower)) {
+    return { intent: "connect" };
+  }
+
+  if (/\b(review my day|evening review|daily review)\b/.test(lower)) {
+    return { intent: "review" };
+  }
+
+  // "move my 3pm to 4", "reschedule the 10:00 meeting to 11:30"
+  match = lower.match(
+    new RegExp(
+      `\\b(?:move|reschedule|push|shift)\\s+(?:my|the)?\\s*${CLOCK}(?:\\s+\\w+)?\\s+to\\s+${CLOCK}\\b`
+    )
+  );
+  if (match) {
+    const time = parseClock(match[1]);
+    const newTime = parseClock(match[2], time);
+    if (time && newTime) {
+      return {
+        intent: "move_event",
+        date: findDate(lower, tz, now),
+        time,
+        newTime,
+      };
+    }
+  }
+
+  // Goals
+  match = clean.match(
+    /^(?:please\s+)?(?:add (?:a )?(?:new )?goal|new goal|my goal is)\s*(?:to\s+)?[:-]?\s*(.+)$/i
+  );
+  if (match) return { intent: "add_goal", text: match[1] };
+
+  if (
+    /^(?:my goals|goals list)$/.test(lower) ||
+    /\b(show|list|see|what are)\b.*\bgoals\b/.test(lower)
+  ) {
+    return { intent: "list_goals" };
+  }
+
+  match = lower.match(
+    /\b(?:finished|completed|done with|did|tick off|check off)\s+(?:goal\s*)?#?(\d+)\b/
+  );
+  if (match) {
+    return { intent: "complete_goal", position: parseInt(match[1], 10) };
+  }
+
+  // Settings
+  match = lower.match(
+    /\bremind me (\d+)\s*(?:m|min|mins|minutes?)\b.*\bbefore\b/
+  );
+  if (match) return { intent: "set_remind", minutes: parseInt(match[1], 10) };
+  if (/\b(stop|turn off|disable|no more)\b.*\breminders?\b/.test(lower)) {
+    return { intent: "set_remind", minutes: 0 };
+  }
+
+  match = clean.match(/\b(?:my )?time ?zone (?:is|to)\s+(.+?)[.!]?$/i);
+  if (match) return { intent: "set_timezone", timezone: match[1].trim() };
+
+  // "I'm in Lagos", "I live in Europe/Berlin" - only places that resolve to a
+  // timezone, so "I'm in a meeting" isn't one
+  match = clean.match(
+    /\b(?:i'?m|i am|i live|i'm based)\s+(?:now\s+)?in\s+([a-z][\w ./+:-]*?)[.!]?$/i
+  );
+  if (match && resolveTimezone(match[1]).tz) {
+    return { intent: "set_timezone", timezone: match[1] };
+  }
+
+  // Scheduling: "book dentist tomorrow at 3pm", "remind me to call mom friday 10am"
+  match = clean.match(
+    /^(?:please\s+)?(?:book|schedule|put|set up|create|add|remind me to)\s+(?:an?\s+)?(.+)$/i
+  );
+  if (
+    match &&
+    (DAY_WORD.test(match[1]) || /\d\s*(?:am|pm)\b|\d:\d\d/i.test(match[1]))
+  ) {
+    return { intent: "schedule", text: match[1] };
+  }
+  if (match && /^remind me to\b/i.test(clean)) {
+    return { intent: "add_goal", text: match[1] };
+  }
+
+  // Free time: "when am I free tomorrow?", "find me a 1h slot this week"
+  if (
+    /\b(when am i free|when'?s my next free|free (?:time|slots?)|(?:find|any|open)\b.*\b(?:slots?|gap|time to meet|hour to meet|free time))\b/.test(
+      lower
+    )
+  ) {
+    const duration = lower.match(
+      /\b(\d+)\s*(h|hrs?|hours?|m|mins?|minutes?)\b|\b(an|one|half an) hour\b/
+    );
+    let durationMinutes = null;
+    if (duration && duration[1]) {
+      const amount = parseInt(duration[1], 10);
+      durationMinutes = duration[2].startsWith("h") ? amount * 60 : amount;
+    } else if (duration) {
+      durationMinutes = duration[3] === "half an" ? 30 : 60;
+    }
+    const range = lower.match(RANGE);
+    return {
+      intent: "find_free",
+      durationMinutes,
+      range: range ? range[1] : null,
+      date: range ? null : findDate(lower, tz, now),
+    };
+  }
+
+  // Agenda: "what's on tomorrow afternoon?", "how does my day look",
+  // "am I busy friday", "what's on this week"
+  if (
+    /\b(what'?s|what is|anything|what do i have|show|how does|how's|am i)\b/.test(
+      lower
+    ) &&
+    /\b(on|planned|scheduled|agenda|schedule|calendar|day|look|busy|free)\b/.test(
+      lower
+    )
+  ) {
+    const range = lower.match(RANGE);
+    if (range) return { intent: "agenda", range: range[1] };
+
+    const period = lower.match(PERIOD);
+    return {
+      intent: "agenda",
+      date: findDate(lower, tz, now),
+      period: period ? period[1].replace("tonight", "evening") : null,
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseWithRules,
+  parseClock,
+};
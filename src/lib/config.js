@@ -9,19 +9,43 @@ const simpleLogger = {
   error: (msg) => console.error(`[CONFIG] ${msg}`),
 };
 
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS ("id1:base64key,id2:base64key")
+ * @param {string} value - Raw env value
+ * @returns {Object} - { [keyId]: Buffer }
+ */
+function parseEncryptionKeys(value) {
+  const keys = {};
+  for (const entry of (value || "").split(",")) {
+    const [id, key] = entry.trim().split(":");
+    if (id && key) keys[id] = Buffer.from(key, "base64");
+  }
+  return keys;
+}
+
+const encryptionKeys = parseEncryptionKeys(process.env.TOKEN_ENCRYPTION_KEYS);
+
 /**
  * Configuration object with environment validation
  * Fails fast if required environment variables are missing
  */
 const config = {
-  // Messaging Provider (WaSender only)
-  messagingProvider: "wasender",
+  // Messaging Provider (wasender or cloud)
+  messagingProvider: (
+    process.env.MESSAGING_PROVIDER || "wasender"
+  ).toLowerCase(),
   timezone: process.env.TZ || "Africa/Lagos",
 
-  // WhatsApp Cloud API (for webhook verification only)
+  // WhatsApp Cloud API
   whatsapp: {
-    verifyToken: process.env.VERIFY_TOKEN,
+    token: process.env.WHATSAPP_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    baseUrl: process.env.WHATSAPP_BASE_URL || "https://graph.facebook.com",
+    apiVersion: process.env.WHATSAPP_API_VERSION || "v19.0",
+    verifyToken: process.env.WHATSAPP_VERIFY_TOKEN || process.env.VERIFY_TOKEN,
     webhookSecret: process.env.WHATSAPP_WEBHOOK_SECRET,
+    // Minimum gap between outbound messages
+    sendIntervalMs: parseInt(process.env.WHATSAPP_SEND_INTERVAL_MS) || 0,
   },
 
   // WaSender API
@@ -29,6 +53,10 @@ const config = {
     apiKey: process.env.WASENDER_API_KEY,
     baseUrl: process.env.WASENDER_BASE_URL || "https://wasenderapi.com/api",
     webhookSecret: process.env.WASENDER_WEBHOOK_SECRET,
+    // Minimum gap between outbound messages (WaSender allows 1 per minute by default)
+    sendIntervalMs: process.env.WASENDER_SEND_INTERVAL_MS
+      ? parseInt(process.env.WASENDER_SEND_INTERVAL_MS)
+      : 60000,
   },
 
   // Google Calendar
@@ -38,11 +66,38 @@ const config = {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     redirectUri: process.env.GOOGLE_REDIRECT_URI,
+    // Skip the call to Google's revoke endpoint (offline/testing)
+    mockRevoke: process.env.GOOGLE_MOCK_REVOKE === "true",
+  },
+
+  // OAuth state tokens (signed, single-use links)
+  oauth: {
+    stateSecret: process.env.OAUTH_STATE_SECRET,
+    stateTtl: parseInt(process.env.OAUTH_STATE_TTL) || 1800, // 30 minutes
+  },
+
+  // Operator endpoints (e.g. POST /oauth/google/disconnect)
+  admin: {
+    token: process.env.ADMIN_API_TOKEN,
+  },
+
+  // Encryption of stored OAuth tokens (envelope encryption, rotatable keys)
+  encryption: {
+    keys: encryptionKeys,
+    // New values are encrypted with this key; the others are kept for decrypting
+    activeKeyId:
+      process.env.TOKEN_ENCRYPTION_KEY_ID || Object.keys(encryptionKeys)[0],
   },
 
   // Storage
   store: {
-    backend: process.env.STORE_BACKEND || "memory",
+    backend: process.env.STORE_BACKEND || "file", // file, redis, memory (cache-backed, not durable)
+    filePath: process.env.STORE_FILE || "./data/store.json",
+  },
+
+  // Redis (native store, STORE_BACKEND=redis)
+  redis: {
+    url: process.env.REDIS_URL || "redis://localhost:6379",
   },
 
   // Cache configuration
@@ -76,6 +131,10 @@ const config = {
   // OpenAI (optional)
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
+    // Any OpenAI-compatible chat completions API (or a local stub)
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS) || 8000,
   },
 
   // Server
@@ -91,22 +150,94 @@ const config = {
 function validateConfig() {
   const errors = [];
 
-  // Validate WaSender requirements
-  if (!config.wasender.apiKey)
-    errors.push("WASENDER_API_KEY is required for wasender provider");
+  if (config.messagingProvider === "wasender") {
+    // Validate WaSender requirements
+    if (!config.wasender.apiKey)
+      errors.push("WASENDER_API_KEY is required for wasender provider");
+  } else if (config.messagingProvider === "cloud") {
+    // Validate WhatsApp Cloud API requirements
+    if (!config.whatsapp.token)
+      errors.push("WHATSAPP_TOKEN is required for cloud provider");
+    if (!config.whatsapp.phoneNumberId)
+      errors.push("WHATSAPP_PHONE_NUMBER_ID is required for cloud provider");
+  } else {
+    errors.push(
+      `MESSAGING_PROVIDER must be "wasender" or "cloud" (got "${config.messagingProvider}")`
+    );
+  }
 
   // Validate Google OAuth requirements (only if using OAuth)
   if (
-    config.store.backend === "memory" &&
-    (!config.google.clientId ||
-      !config.google.clientSecret ||
-      !config.google.redirectUri)
+    !config.google.clientId ||
+    !config.google.clientSecret ||
+    !config.google.redirectUri
   ) {
     simpleLogger.warn(
       "Google OAuth credentials not configured - OAuth features will be disabled"
     );
   }
 
+  // memory goes through cache-manager, whose keys expire
+  if (!["file", "redis"].includes(config.store.backend)) {
+    if (config.server.nodeEnv === "production") {
+      errors.push(
+        `STORE_BACKEND=${config.store.backend} expires users and tokens after CACHE_TTL - use "file" or "redis" in production`
+      );
+    } else {
+      simpleLogger.warn(
+        `STORE_BACKEND=${config.store.backend} is not durable - data expires after CACHE_TTL`
+      );
+    }
+  }
+
+  if (!config.oauth.stateSecret) {
+    if (config.server.nodeEnv === "production") {
+      errors.push("OAUTH_STATE_SECRET is required in production");
+    } else {
+      simpleLogger.warn(
+        "OAUTH_STATE_SECRET not configured - connect links will stop working after a restart"
+      );
+    }
+  }
+
+  const { keys, activeKeyId } = config.encryption;
+  for (const [id, key] of Object.entries(keys)) {
+    if (key.length !== 32)
+      errors.push(`TOKEN_ENCRYPTION_KEYS: key "${id}" must be 32 bytes`);
+  }
+  if (activeKeyId && !keys[activeKeyId]) {
+    errors.push(
+      `TOKEN_ENCRYPTION_KEY_ID "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`
+    );
+  } else if (!activeKeyId) {
+    if (config.server.nodeEnv === "production") {
+      errors.push("TOKEN_ENCRYPTION_KEYS is required in production");
+    } else {
+      simpleLogger.warn(
+        "TOKEN_ENCRYPTION_KEYS not configured - Google tokens will be stored unencrypted"
+      );
+    }
+  }
+
+  // Unsigned webhooks let anyone impersonate any phone number
+  const webhookSecret =
+    config.messagingProvider === "cloud"
+      ? config.whatsapp.webhookSecret
+      : config.wasender.webhookSecret;
+  if (!webhookSecret) {
+    const name =
+      config.messagingProvider === "cloud"
+        ? "WHATSAPP_WEBHOOK_SECRET"
+        : "WASENDER_WEBHOOK_SECRET";
+    if (config.server.nodeEnv === "production") {
+      errors.push(`${name} is required in production`);
+    } else {
+      simpleLogger.warn(
+        `${name} not configured - webhook signatures will not be verified`
+      );
+    }
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n${errors.join("\n")}`);
   }
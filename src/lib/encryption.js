@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const config = require("./config");
+
+// enc:v1:<keyId>:<wrapped data key>:<iv>:<auth tag>:<ciphertext> (base64 parts)
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+
+/**
+ * AES-256-GCM encrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Object} - { iv, tag, ciphertext } buffers
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+/**
+ * AES-256-GCM decrypt
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} iv - Nonce
+ * @param {Buffer} tag - Auth tag
+ * @param {Buffer} ciphertext - Encrypted data
+ * @returns {Buffer} - Plaintext
+ */
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Check whether an encryption key is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return !!config.encryption.activeKeyId;
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/**
+ * Check whether a stored value should be rewritten: plaintext, or
+ * encrypted under a key that is no longer the active one
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function needsReencrypt(value) {
+  if (!value || !isEnabled()) return false;
+  if (!isEncrypted(value)) return true;
+  return (
+    value.slice(PREFIX.length).split(":")[0] !== config.encryption.activeKeyId
+  );
+}
+
+/**
+ * Envelope-encrypt a secret: a fresh data key encrypts the value and the
+ * active master key encrypts the data key
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - Encrypted value (plaintext unchanged if no key is configured)
+ */
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined || !isEnabled()) {
+    return plaintext;
+  }
+
+  const keyId = config.encryption.activeKeyId;
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(config.encryption.keys[keyId], dataKey);
+  const body = seal(dataKey, Buffer.from(String(plaintext), "utf8"));
+
+  const wrappedKey = Buffer.concat([
+    wrapped.iv,
+    wrapped.tag,
+    wrapped.ciphertext,
+  ]);
+  return (
+    PREFIX +
+    [
+      keyId,
+      wrappedKey.toString("base64"),
+      body.iv.toString("base64"),
+      body.tag.toString("base64"),
+      body.ciphertext.toString("base64"),
+    ].join(":")
+  );
+}
+
+/**
+ * Decrypt a value produced by encrypt(); plaintext values pass through
+ * so entries written before encryption was enabled keep working
+ * @param {string} value - Stored value
+ * @returns {string} - Plaintext
+ */
+function decrypt(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, wrappedKey, iv, tag, ciphertext] = value
+    .slice(PREFIX.length)
+    .split(":");
+  const masterKey = config.encryption.keys[keyId];
+  if (!masterKey) {
+    throw new Error(`Unknown encryption key id: ${keyId}`);
+  }
+
+  const wrapped = Buffer.from(wrappedKey, "base64");
+  const dataKey = open(
+    masterKey,
+    wrapped.subarray(0, 12),
+    wrapped.subarray(12, 28),
+    wrapped.subarray(28)
+  );
+  return open(
+    dataKey,
+    Buffer.from(iv, "base64"),
+    Buffer.from(tag, "base64"),
+    Buffer.from(ciphertext, "base64")
+  ).toString("utf8");
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEnabled,
+  isEncrypted,
+  needsReencrypt,
+};
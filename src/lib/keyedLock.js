@@ -0,0 +1,25 @@
+/**
+ * Create a lock that serializes async work per key within this process.
+ * Work for different keys runs concurrently; work for the same key runs
+ * one at a time in call order.
+ * @returns {Function} - run(key, fn) → Promise of fn's result
+ */
+function createKeyedLock() {
+  const tails = new Map();
+
+  return function run(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    // Forget the key once nothing else is queued behind this call
+    tail.then(() => {
+      if (tails.get(key) === tail) tails.delete(key);
+    });
+    return result;
+  };
+}
+
+module.exports = {
+  createKeyedLock,
+};
@@ -3,6 +3,8 @@ const config = require("./config");
 const logger = require("./logger");
 
 let client = null;
+// Pending connection, shared by callers that arrive before it's ready
+let connecting = null;
 
 /**
  * Get Redis client singleton
@@ -10,10 +12,23 @@ let client = null;
  * @returns {Promise<redis.RedisClient>}
  */
 async function getRedisClient() {
-  if (client && client.isReady) {
+  // An open client queues commands while it reconnects - don't replace it
+  if (client && client.isOpen) {
     return client;
   }
+  if (!connecting) {
+    connecting = connect().finally(() => {
+      connecting = null;
+    });
+  }
+  return connecting;
+}
 
+/**
+ * Create and connect a new Redis client
+ * @returns {Promise<redis.RedisClient>}
+ */
+async function connect() {
   try {
     client = redis.createClient({
       url: config.redis.url,
@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+
+/**
+ * Compute an HMAC-SHA256 digest
+ * @param {string|Buffer} secret - HMAC key
+ * @param {string|Buffer} data - Data to sign
+ * @param {string} encoding - Output encoding (hex, base64url, ...)
+ * @returns {string} - Digest
+ */
+function hmacSha256(secret, data, encoding = "hex") {
+  return crypto.createHmac("sha256", secret).update(data).digest(encoding);
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} - true if both are non-empty and equal
+ */
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || !a || !b) {
+    return false;
+  }
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+  hmacSha256,
+  safeEqual,
+};
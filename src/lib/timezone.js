@@ -0,0 +1,244 @@
+// Timezone lookup for "set tz" and new users: turns what people type
+// ("Africa/Lagos", "lagos", "New York", "UTC+1", "EST") into an IANA zone,
+// and guesses a default zone from a phone number's country calling code.
+const { DateTime, IANAZone } = require("luxon");
+
+const ZONES = Intl.supportedValuesOf("timeZone");
+
+// Cities and abbreviations people use that aren't an IANA zone's city (or
+// whose zone ICU only lists under an old name)
+const ALIASES = {
+  abuja: "Africa/Lagos",
+  ibadan: "Africa/Lagos",
+  kano: "Africa/Lagos",
+  "port harcourt": "Africa/Lagos",
+  wat: "Africa/Lagos",
+  "cape town": "Africa/Johannesburg",
+  pretoria: "Africa/Johannesburg",
+  beijing: "Asia/Shanghai",
+  kathmandu: "Asia/Kathmandu",
+  "ho chi minh": "Asia/Ho_Chi_Minh",
+  kyiv: "Europe/Kyiv",
+  kolkata: "Asia/Kolkata",
+  delhi: "Asia/Kolkata",
+  "new delhi": "Asia/Kolkata",
+  mumbai: "Asia/Kolkata",
+  bangalore: "Asia/Kolkata",
+  bengaluru: "Asia/Kolkata",
+  ist: "Asia/Kolkata",
+  "san francisco": "America/Los_Angeles",
+  seattle: "America/Los_Angeles",
+  la: "America/Los_Angeles",
+  pst: "America/Los_Angeles",
+  pdt: "America/Los_Angeles",
+  washington: "America/New_York",
+  boston: "America/New_York",
+  miami: "America/New_York",
+  atlanta: "America/New_York",
+  nyc: "America/New_York",
+  est: "America/New_York",
+  edt: "America/New_York",
+  dallas: "America/Chicago",
+  houston: "America/Chicago",
+  cst: "America/Chicago",
+  cdt: "America/Chicago",
+  mst: "America/Denver",
+  mdt: "America/Denver",
+  cet: "Europe/Paris",
+  cest: "Europe/Paris",
+  bst: "Europe/London",
+};
+
+// Country calling code -> the zone most of that country's users are in
+const CALLING_CODES = {
+  1: "America/New_York",
+  7: "Europe/Moscow",
+  20: "Africa/Cairo",
+  27: "Africa/Johannesburg",
+  31: "Europe/Amsterdam",
+  33: "Europe/Paris",
+  34: "Europe/Madrid",
+  39: "Europe/Rome",
+  44: "Europe/London",
+  49: "Europe/Berlin",
+  52: "America/Mexico_City",
+  55: "America/Sao_Paulo",
+  61: "Australia/Sydney",
+  62: "Asia/Jakarta",
+  63: "Asia/Manila",
+  65: "Asia/Singapore",
+  81: "Asia/Tokyo",
+  86: "Asia/Shanghai",
+  90: "Europe/Istanbul",
+  91: "Asia/Kolkata",
+  92: "Asia/Karachi",
+  212: "Africa/Casablanca",
+  221: "Africa/Dakar",
+  225: "Africa/Abidjan",
+  233: "Africa/Accra",
+  234: "Africa/Lagos",
+  237: "Africa/Douala",
+  250: "Africa/Kigali",
+  251: "Africa/Addis_Ababa",
+  254: "Africa/Nairobi",
+  255: "Africa/Dar_es_Salaam",
+  256: "Africa/Kampala",
+  353: "Europe/Dublin",
+  880: "Asia/Dhaka",
+  966: "Asia/Riyadh",
+  971: "Asia/Dubai",
+};
+
+const OFFSET = /^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?::?([0-5]\d))?$/i;
+
+/**
+ * Normalise free text for comparison ("new_york" and "New York" match)
+ * @param {string} text - Text
+ * @returns {string} - Lower-cased text with "_" and runs of spaces as one space
+ */
+function normalize(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+}
+
+/**
+ * Get the canonical spelling of a valid zone ("africa/lagos" -> "Africa/Lagos")
+ * Zones missing from ZONES (ICU lists some by their old names, e.g.
+ * Asia/Calcutta) keep the spelling given unless it is all lower case.
+ * @param {string} tz - Zone name
+ * @returns {string|null} - Canonical name, or null if not a valid zone
+ */
+function canonicalZone(tz) {
+  if (!IANAZone.isValidZone(tz)) return null;
+  const lower = tz.toLowerCase();
+  const listed = ZONES.find((zone) => zone.toLowerCase() === lower);
+  if (listed) return listed;
+  if (tz !== lower) return tz;
+  return new Intl.DateTimeFormat("en-US", { timeZone: tz }).resolvedOptions()
+    .timeZone;
+}
+
+/**
+ * Turn a UTC offset like "UTC+1", "GMT-05:00" or "+5:30" into a zone
+ * Whole hours map to Etc/GMT zones (whose signs are inverted); other
+ * offsets map to a zone that currently has that offset.
+ * @param {string} text - Offset text
+ * @returns {string|null} - Zone name, or null if not an offset
+ */
+function zoneForOffset(text) {
+  const compact = text.trim();
+  if (/^(?:utc|gmt|z)$/i.test(compact)) return "UTC";
+
+  const match = compact.match(OFFSET);
+  if (!match) return null;
+  const hours = parseInt(match[2], 10);
+  const minutes = match[3] ? parseInt(match[3], 10) : 0;
+  if (hours > 14) return null;
+
+  if (!minutes) {
+    if (!hours) return "UTC";
+    return `Etc/GMT${match[1] === "+" ? "-" : "+"}${hours}`;
+  }
+
+  const offset = (match[1] === "+" ? 1 : -1) * (hours * 60 + minutes);
+  return (
+    ZONES.find((tz) => DateTime.now().setZone(tz).offset === offset) || null
+  );
+}
+
+/**
+ * Find a zone whose city part is the given name ("lagos" -> "Africa/Lagos")
+ * @param {string} name - Normalised city name
+ * @returns {string|null} - Zone name, or null if none
+ */
+function zoneForCity(name) {
+  return ZONES.find((tz) => normalize(tz.split("/").pop()) === name) || null;
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Levenshtein distance
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Suggest zones close to a misspelt name, by full name or city part
+ * @param {string} text - What the user typed
+ * @param {number} limit - Maximum suggestions
+ * @returns {Array<string>} - Zone names, closest first
+ */
+function suggestTimezones(text, limit = 3) {
+  const input = normalize(text);
+  const maxDistance = Math.max(2, Math.floor(input.length / 3));
+
+  return ZONES.map((tz) => ({
+    tz,
+    score: Math.min(
+      distance(input, normalize(tz)),
+      distance(input, normalize(tz.split("/").pop()))
+    ),
+  }))
+    .filter(({ score }) => score <= maxDistance)
+    .sort((a, b) => a.score - b.score || a.tz.localeCompare(b.tz))
+    .slice(0, limit)
+    .map(({ tz }) => tz);
+}
+
+/**
+ * Resolve what a user typed into an IANA zone
+ * @param {string} text - Zone name, city, abbreviation or UTC offset
+ * @returns {Object} - { tz } when recognised, otherwise { tz: null, suggestions }
+ */
+function resolveTimezone(text) {
+  const input = normalize(text || "");
+  if (!input) return { tz: null, suggestions: [] };
+
+  const tz =
+    ALIASES[input] ||
+    canonicalZone(text.trim().replace(/\s+/g, "_")) ||
+    zoneForOffset(input) ||
+    zoneForCity(input);
+  if (tz) return { tz };
+
+  return { tz: null, suggestions: suggestTimezones(input) };
+}
+
+/**
+ * Guess a default zone from a WhatsApp number's country calling code
+ * @param {string} uid - User ID (E.164 digits, optionally with a JID suffix)
+ * @returns {string|null} - Zone name, or null if the code isn't known
+ */
+function timezoneForPhone(uid) {
+  const digits = String(uid || "")
+    .split("@")[0]
+    .replace(/\D/g, "");
+  for (const length of [3, 2, 1]) {
+    const tz = CALLING_CODES[digits.slice(0, length)];
+    if (tz) return tz;
+  }
+  return null;
+}
+
+module.exports = {
+  resolveTimezone,
+  suggestTimezones,
+  timezoneForPhone,
+};
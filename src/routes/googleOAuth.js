@@ -2,25 +2,117 @@ const express = require("express");
 const router = express.Router();
 const {
   getAuthUrl,
+  verifyState,
+  consumeState,
   exchangeCodeForTokens,
+  disconnectGoogle,
 } = require("../calendar/googleOAuth");
+const config = require("../lib/config");
 const logger = require("../lib/logger");
+const { safeEqual } = require("../lib/signing");
+
+/**
+ * Render a simple status page shown in the user's browser
+ * @param {Object} page - { title, icon, color, messages }
+ * @returns {string} - HTML
+ */
+function renderPage({ title, icon, color, messages }) {
+  return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>${title}</title>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              text-align: center;
+              padding: 50px;
+              background: #f5f5f5;
+            }
+            .container {
+              background: white;
+              padding: 30px;
+              border-radius: 10px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+              max-width: 400px;
+              margin: 0 auto;
+            }
+            .icon { color: ${color}; font-size: 24px; }
+            .message { margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="icon">${icon}</div>
+            <h2>${title}</h2>
+            ${messages
+              .map((m) => `<div class="message">${m}</div>`)
+              .join("\n            ")}
+          </div>
+        </body>
+      </html>
+    `;
+}
+
+/**
+ * Error page for a connect link that can't be used
+ * @param {string} code - invalid_state, expired_state or used_state
+ * @returns {string} - HTML
+ */
+function renderStateErrorPage(code) {
+  const reasons = {
+    expired_state: [
+      "Link Expired",
+      "This connect link has expired. Links are only valid for a short time to keep your account safe.",
+    ],
+    used_state: [
+      "Link Already Used",
+      "This connect link has already been used. Each link works only once.",
+    ],
+    invalid_state: [
+      "Invalid Link",
+      "This connect link is not valid. It may have been copied incorrectly.",
+    ],
+  };
+  const [title, reason] = reasons[code] || reasons.invalid_state;
+  return renderPage({
+    title,
+    icon: "⚠️",
+    color: "#dc3545",
+    messages: [
+      reason,
+      'Send "connect" to the assistant on WhatsApp to get a fresh link.',
+    ],
+  });
+}
 
 /**
  * Start OAuth flow - redirect user to Google
- * GET 
- * 
+ * GET /oauth/google/start?state=...
+ * The state must be a signed token issued by the assistant, so nobody can
+ * start a link for someone else's number.
  */
 router.get("/start", (req, res) => {
   try {
-    const { uid } = req.query;
+    const { state } = req.query;
 
-    if (!uid) {
-      logger.warn("OAuth start missing uid parameter");
-      return res.status(400).json({ error: "Missing uid parameter" });
+    if (!state) {
+      logger.warn("OAuth start missing state parameter");
+      return res.status(400).json({ error: "Missing state parameter" });
     }
 
-    const authUrl = getAuthUrl(uid);
+    let uid;
+    try {
+      ({ uid } = verifyState(state));
+    } catch (stateError) {
+      logger.warn("OAuth start with unusable state", {
+        code: stateError.code,
+        ip: req.ip,
+      });
+      return res.status(400).send(renderStateErrorPage(stateError.code));
+    }
+
+    const authUrl = getAuthUrl(uid, state);
 
     logger.info("OAuth flow started", { uid });
 
@@ -58,13 +150,17 @@ router.get("/callback", async (req, res) => {
         .json({ error: "Missing authorization code or state" });
     }
 
-    // Decode uid from state
+    // Verify the signed state and mark it used
     let uid;
     try {
-      uid = Buffer.from(state, "base64").toString();
-    } catch (decodeError) {
-      logger.error("Failed to decode state parameter", decodeError, { state });
-      return res.status(400).json({ error: "Invalid state parameter" });
+      uid = await consumeState(state);
+    } catch (stateError) {
+      logger.warn("OAuth callback rejected state", {
+        code: stateError.code,
+        error: stateError.message,
+        ip: req.ip,
+      });
+      return res.status(400).send(renderStateErrorPage(stateError.code));
     }
 
     // Exchange code for tokens
@@ -74,103 +170,108 @@ router.get("/callback", async (req, res) => {
 
     // Send WhatsApp message to user about successful connection
     try {
-      const { createWhatsAppClient } = require("../whatsapp/client");
+      const { enqueue } = require("../whatsapp/outbox");
       const { getUserProfile } = require("../users/service");
-      
-      const whatsappClient = createWhatsAppClient();
+
       const profile = await getUserProfile(uid);
       const userName = profile?.name || "there";
-      
+
       const message = `🎉 Perfect! Your Google Calendar is now connected!\n\nYou're all set up, ${userName}! You can now:\n• Type "agenda" to see your daily schedule\n• Type "help" for all available commands\n\nWelcome to your productivity assistant! 🚀`;
-      
-      await whatsappClient.sendText(uid, message);
+
+      await enqueue(uid, message);
       logger.info("Sent OAuth completion message", { uid, userName });
     } catch (error) {
       logger.error("Failed to send OAuth completion message", error, { uid });
     }
 
     // Return success page
-    res.send(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Google Calendar Connected!</title>
-          <style>
-            body { 
-              font-family: Arial, sans-serif; 
-              text-align: center; 
-              padding: 50px; 
-              background: #f5f5f5; 
-            }
-            .container { 
-              background: white; 
-              padding: 30px; 
-              border-radius: 10px; 
-              box-shadow: 0 2px 10px rgba(0,0,0,0.1); 
-              max-width: 400px; 
-              margin: 0 auto; 
-            }
-            .success { color: #28a745; font-size: 24px; }
-            .message { margin: 20px 0; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="success">✅</div>
-            <h2>Google Calendar Connected!</h2>
-            <div class="message">
-              Your Google Calendar has been successfully linked to your WhatsApp assistant.
-            </div>
-            <div class="message">
-              You can now close this window and return to WhatsApp.
-            </div>
-            <div class="message">
-              Try typing "agenda" to see your daily schedule!
-            </div>
-          </div>
-        </body>
-      </html>
-    `);
+    res.send(
+      renderPage({
+        title: "Google Calendar Connected!",
+        icon: "✅",
+        color: "#28a745",
+        messages: [
+          "Your Google Calendar has been successfully linked to your WhatsApp assistant.",
+          "You can now close this window and return to WhatsApp.",
+          'Try typing "agenda" to see your daily schedule!',
+        ],
+      })
+    );
   } catch (error) {
     logger.error("Error in OAuth callback", error);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Connection Failed</title>
-          <style>
-            body { 
-              font-family: Arial, sans-serif; 
-              text-align: center; 
-              padding: 50px; 
-              background: #f5f5f5; 
-            }
-            .container { 
-              background: white; 
-              padding: 30px; 
-              border-radius: 10px; 
-              box-shadow: 0 2px 10px rgba(0,0,0,0.1); 
-              max-width: 400px; 
-              margin: 0 auto; 
-            }
-            .error { color: #dc3545; font-size: 24px; }
-            .message { margin: 20px 0; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="error">❌</div>
-            <h2>Connection Failed</h2>
-            <div class="message">
-              Sorry, we couldn't connect your Google Calendar at this time.
-            </div>
-            <div class="message">
-              Please try again later or contact support if the problem persists.
-            </div>
-          </div>
-        </body>
-      </html>
-    `);
+    res.status(500).send(
+      renderPage({
+        title: "Connection Failed",
+        icon: "❌",
+        color: "#dc3545",
+        messages: [
+          "Sorry, we couldn't connect your Google Calendar at this time.",
+          "Please try again later or contact support if the problem persists.",
+        ],
+      })
+    );
+  }
+});
+
+/**
+ * Require the operator bearer token (ADMIN_API_TOKEN)
+ * The endpoint is disabled when no token is configured.
+ * @param {express.Request} req - Request
+ * @param {express.Response} res - Response
+ * @param {Function} next - Next middleware
+ */
+function requireAdminToken(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(503).json({ error: "Admin API not configured" });
+  }
+  const header = req.get("Authorization") || "";
+  const token = header.replace(/^Bearer\s+/i, "");
+  if (!token || !safeEqual(token, config.admin.token)) {
+    logger.warn("Rejected admin request with invalid token", {
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+}
+
+/**
+ * Disconnect a user's Google Calendar - revoke access and delete tokens
+ * POST /oauth/google/disconnect  { uid }
+ * Authorization: Bearer <ADMIN_API_TOKEN>
+ */
+router.post("/disconnect", requireAdminToken, async (req, res) => {
+  try {
+    const { uid } = req.body || {};
+
+    if (!uid) {
+      return res.status(400).json({ error: "Missing uid" });
+    }
+
+    const result = await disconnectGoogle(uid);
+    if (!result.wasLinked) {
+      return res
+        .status(404)
+        .json({ error: "User has no Google Calendar connected", uid });
+    }
+
+    // Let the user know on WhatsApp
+    try {
+      const { enqueue } = require("../whatsapp/outbox");
+      await enqueue(
+        uid,
+        "🔌 Your Google Calendar has been disconnected.\n\nType 'connect' any time to link it again."
+      );
+    } catch (error) {
+      logger.error("Failed to send disconnect message", error, { uid });
+    }
+
+    logger.info("Google Calendar disconnected via API", { uid, ...result });
+    res.json({ success: true, uid, ...result });
+  } catch (error) {
+    logger.error("Error disconnecting Google Calendar", error);
+    res.status(500).json({ error: "Failed to disconnect Google Calendar" });
   }
 });
 
@@ -1,16 +1,18 @@
 const express = require("express");
 const router = express.Router();
+const { getStats } = require("../whatsapp/outbox");
 
 /**
  * Health check endpoint
  * Returns service status for monitoring and Docker healthchecks
  */
-router.get("/", (req, res) => {
+router.get("/", async (req, res) => {
   res.status(200).json({
     status: "ok",
     timestamp: new Date().toISOString(),
     service: "whatsapp-productivity-assistant",
     version: "1.0.0",
+    outbox: await getStats(),
   });
 });
 
@@ -1,12 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const logger = require("../lib/logger");
-const { createWhatsAppClient } = require("../whatsapp/client");
+const { enqueue } = require("../whatsapp/outbox");
 
 /**
  * Send message endpoint for testing
  * POST /send
  * Body: { "to": "+1234567890", "text": "Hello world" }
+ * The message is queued and delivered by the outbox worker.
  */
 router.post("/", async (req, res) => {
   try {
@@ -27,23 +28,22 @@ router.post("/", async (req, res) => {
       text: text.substring(0, 50) + (text.length > 50 ? "..." : ""),
     });
 
-    // Send message
-    const whatsappClient = createWhatsAppClient();
-    const result = await whatsappClient.sendText(to, text);
+    // Queue message
+    const result = await enqueue(to, text);
 
-    logger.info("Message sent successfully", {
+    logger.info("Message queued successfully", {
       to,
       result,
     });
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: "Message sent successfully",
+      message: "Message queued",
       to,
       result,
     });
   } catch (error) {
-    logger.error("Failed to send message", error, {
+    logger.error("Failed to queue message", error, {
       to: req.body?.to,
       textLength: req.body?.text?.length,
     });
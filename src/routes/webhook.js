@@ -2,107 +2,58 @@ const express = require("express");
 const router = express.Router();
 const config = require("../lib/config");
 const logger = require("../lib/logger");
-const store = require("../store");
 const { createWhatsAppClient } = require("../whatsapp/client");
+const { enqueue } = require("../whatsapp/outbox");
+const { markSeen } = require("../whatsapp/dedupe");
+const { withUserLock } = require("../users/conversationLock");
 const {
   addUserIfNew,
   getSettings,
-  setSettings,
   getUserProfile,
   hasCompletedOnboarding,
-  hasGoogleCalendarLinked,
 } = require("../users/service");
-const { listEvents } = require("../calendar/googleCalendar");
+const { tryHandle: tryHandleReview, isInReview } = require("../agenda/review");
+const {
+  hasPendingChange,
+  tryHandleConfirmation,
+} = require("../agenda/eventChanges");
 const {
   tryHandle,
   startOnboarding,
   isInOnboarding,
 } = require("../users/onboarding");
-const { getAuthUrl } = require("../calendar/googleOAuth");
+const { findCommand, runCommand } = require("../commands");
+const { interpret } = require("../intent");
+
+// Provider client for verifying and parsing webhooks, created on first use
+let client = null;
 
 /**
- * Helper function to send WhatsApp messages with rate limiting error handling
+ * Get the configured provider's client
+ * @returns {WaSenderProvider|CloudProvider} - Provider instance
  */
-async function sendMessageSafely(whatsappClient, uid, message) {
-  try {
-    await whatsappClient.sendText(uid, message);
-    return true;
-  } catch (error) {
-    if (error.message.includes("Rate limited")) {
-      logger.warn("Rate limited when sending message", {
-        uid,
-        error: error.message,
-      });
-      // Don't crash the webhook, just acknowledge
-      return false;
-    }
-    throw error;
-  }
+function getClient() {
+  if (!client) client = createWhatsAppClient();
+  return client;
 }
 
 /**
- * Extract message data from WaSender webhook payload
- * @param {Object} body - Webhook body
- * @returns {Object|null} - { from, text } or null if no valid message
+ * Queue a reply to the user; the outbox worker delivers it in order
+ * at the provider's pace
+ * @param {string} uid - User ID
+ * @param {string} message - Message text
  */
-function extractMessageData(body) {
-  // Handle WaSender event webhooks
-  if (
-    body.event &&
-    (body.event.startsWith("message.") || body.event.startsWith("messages."))
-  ) {
-    // Process received messages and upserts (new messages)
-    if (
-      (body.event === "message.received" ||
-        body.event === "messages.upsert" ||
-        body.event === "messages.received") &&
-      body.data &&
-      body.data.messages
-    ) {
-      if (body.data.messages.key && body.data.messages.message) {
-        // Extract from WaSender messages object format
-        const messageData = body.data.messages;
-        const from = messageData.key.remoteJid;
-        let text = "";
-
-        // Extract text from different message types
-        if (messageData.message.conversation) {
-          text = messageData.message.conversation;
-        } else if (
-          messageData.message.extendedTextMessage &&
-          messageData.message.extendedTextMessage.text
-        ) {
-          text = messageData.message.extendedTextMessage.text;
-        } else if (messageData.message.text) {
-          text = messageData.message.text;
-        }
-
-        if (from && text) {
-          return { from, text: text.trim() };
-        }
-      }
-    }
-  }
-  return null;
+async function reply(uid, message) {
+  await enqueue(uid, message);
 }
 
 /**
- * Check if message is a command
- * @param {string} text - Message text
- * @returns {boolean} - true if it's a command
+ * Extract messages from the configured provider's webhook payload
+ * @param {Object} body - Webhook body
+ * @returns {Array<Object>} - [{ id, from, text }], empty if no valid message
  */
-function isCommand(text) {
-  const trimmedText = text.trim().toLowerCase();
-  return (
-    trimmedText === "connect" ||
-    trimmedText === "agenda" ||
-    trimmedText === "help" ||
-    trimmedText === "whoami" ||
-    trimmedText.startsWith("set tz ") ||
-    trimmedText === "hi" ||
-    trimmedText === "hello" ||
-    trimmedText === "onboard"
-  );
+function extractMessages(body) {
+  return getClient().parseWebhook(body);
 }
 
 /**
@@ -139,255 +90,181 @@ router.get("/", (req, res) => {
 });
 
 /**
- * Webhook endpoint for receiving messages
- * POST /webhook
+ * Handle one incoming message: onboarding, review answers and commands
+ * @param {Object} messageData - { id, from, text } from the provider payload
  */
-router.post("/", async (req, res) => {
-  try {
-    const body = req.body;
-
-    logger.info("Webhook received", {
-      event: body.event || "unknown",
-      type: body.object || "direct",
-      hasData: !!body.data,
-      dataKeys: body.data ? Object.keys(body.data) : [],
-    });
+async function handleMessage({ id, from, text }) {
+  logger.info("Message received", {
+    id,
+    from,
+    text: text.substring(0, 50) + (text.length > 50 ? "..." : ""),
+  });
 
-    // Handle WaSender test webhook
-    if (body.event === "webhook.test") {
-      return res.status(200).send("OK");
-    }
+  // User management
+  const uid = from; // E.164 from the provider payload
+  const isNewUser = await addUserIfNew(uid);
 
-    // Extract message data
-    const messageData = extractMessageData(body);
+  const msg = text;
+  let found = findCommand(msg);
 
-    // If no valid message data, acknowledge but don't process
-    if (!messageData) {
-      return res.status(200).send("OK");
-    }
+  // Check if user has completed onboarding
+  const hasOnboarded = await hasCompletedOnboarding(uid);
 
-    const { from, text } = messageData;
+  // Check if user is currently in onboarding
+  const currentlyInOnboarding = await isInOnboarding(uid);
 
-    logger.info("Message received", {
-      from,
-      text: text.substring(0, 50) + (text.length > 50 ? "..." : ""),
-    });
+  // Commands that don't need onboarding (e.g. connect) skip the onboarding flow
+  const bypassesOnboarding = found && !found.command.requiresOnboarding;
 
-    // User management
-    const uid = from; // E.164 from the provider payload
-    const isNewUser = await addUserIfNew(uid);
+  // If user is in onboarding, handle their response
+  if (currentlyInOnboarding && !bypassesOnboarding) {
+    const onboardingResponse = await tryHandle(uid, msg);
+    if (onboardingResponse) {
+      await reply(uid, onboardingResponse.message);
+      logger.info("Onboarding response sent", {
+        uid,
+        state: onboardingResponse.state,
+      });
+      return;
+    }
+  }
 
-    const msg = text;
-    const lower = msg.toLowerCase();
+  // If user is confirming a change to an event, handle their answer (commands still work)
+  if (!found && (await hasPendingChange(uid))) {
+    const { tz } = await getSettings(uid);
+    const confirmResponse = await tryHandleConfirmation(uid, msg, tz);
+    if (confirmResponse) {
+      await reply(uid, confirmResponse.message);
+      logger.info("Confirmation response sent", { uid });
+      return;
+    }
+  }
 
-    const whatsappClient = createWhatsAppClient();
+  // If user is answering the evening review, handle their response (commands still work)
+  if (!found && (await isInReview(uid))) {
+    const reviewResponse = await tryHandleReview(uid, msg);
+    if (reviewResponse) {
+      await reply(uid, reviewResponse.message);
+      logger.info("Review response sent", {
+        uid,
+        state: reviewResponse.state,
+      });
+      return;
+    }
+  }
 
-    // Check if user has completed onboarding
-    const hasOnboarded = await hasCompletedOnboarding(uid);
+  // If user hasn't started onboarding and isn't sending a command, ignore the message
+  if (!hasOnboarded && !currentlyInOnboarding && !found) {
+    logger.info("Ignoring message from user who hasn't started onboarding", {
+      from,
+      text: text.substring(0, 20),
+      hasOnboarded,
+      currentlyInOnboarding,
+    });
+    return;
+  }
 
-    // Check if user is currently in onboarding
-    const currentlyInOnboarding = await isInOnboarding(uid);
+  // Handle new user onboarding - start onboarding for new users
+  if (!hasOnboarded && !currentlyInOnboarding && !bypassesOnboarding) {
+    const onboardingResponse = await startOnboarding(uid);
+    await reply(uid, onboardingResponse.message);
+    logger.info("Started onboarding for new user", { uid });
+    return;
+  }
 
-    // If user is in onboarding, handle their response (except connect command)
-    if (currentlyInOnboarding && lower !== "connect") {
-      // User is in onboarding, handle their response
-      const onboardingResponse = await tryHandle(uid, msg);
-      if (onboardingResponse) {
-        await sendMessageSafely(
-          whatsappClient,
-          uid,
-          onboardingResponse.message
-        );
-        logger.info("Onboarding response sent", {
-          uid,
-          state: onboardingResponse.state,
-        });
-        return res.status(200).send("OK");
+  // Free text from onboarded users: work out which command they mean
+  if (!found && hasOnboarded) {
+    const { tz } = await getSettings(uid);
+    const resolved = await interpret(msg, { tz });
+    if (resolved) {
+      logger.info("Intent recognised", {
+        uid,
+        intent: resolved.intent.intent,
+        source: resolved.intent.source,
+        command: resolved.command,
+      });
+      if (resolved.message) {
+        await reply(uid, resolved.message);
+        return;
       }
+      found = findCommand(resolved.command);
     }
+  }
 
-    // If user hasn't started onboarding and isn't sending a command, ignore the message
-    if (!hasOnboarded && !currentlyInOnboarding && !isCommand(text)) {
-      logger.info("Ignoring message from user who hasn't started onboarding", {
-        from,
-        text: text.substring(0, 20),
-        hasOnboarded,
-        currentlyInOnboarding,
-        isCommand: isCommand(text),
-      });
-      return res.status(200).send("OK");
-    }
+  if (!found) {
+    await reply(
+      uid,
+      "🤔 I didn't understand that. Type 'help' to see available commands."
+    );
+    return;
+  }
 
-    // Handle new user onboarding - start onboarding for new users (except connect command)
-    if (!hasOnboarded && !currentlyInOnboarding && lower !== "connect") {
-      const onboardingResponse = await startOnboarding(uid);
-      await sendMessageSafely(whatsappClient, uid, onboardingResponse.message);
-      logger.info("Started onboarding for new user", { uid });
-      return res.status(200).send("OK");
-    }
+  // Get user profile for personalized responses
+  const profile = await getUserProfile(uid);
 
-    // Only process command messages to avoid spam (after onboarding checks)
-    // Don't filter messages during onboarding
-    if (!isCommand(text) && !currentlyInOnboarding && !hasOnboarded) {
-      logger.info("Non-command message ignored", {
-        from,
-        text: text.substring(0, 20),
-      });
-      return res.status(200).send("OK");
-    }
+  await runCommand(found, { uid, text: msg, profile, reply });
+}
 
-    // Get user profile for personalized responses
-    const profile = await getUserProfile(uid);
+/**
+ * Reject webhook requests that are not signed by the configured provider
+ */
+function verifySignature(req, res, next) {
+  const { valid, reason } = getClient().verifyWebhook(req);
+  if (!valid) {
+    logger.warn("Rejected webhook with invalid signature", {
+      provider: config.messagingProvider,
+      reason,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+    return res.status(401).send("Unauthorized");
+  }
+  next();
+}
 
-    // Simple rate limiting - prevent sending messages too frequently
-    // Skip rate limiting during onboarding to allow smooth flow
-    if (!currentlyInOnboarding) {
-      const lastMessageKey = `last_message:${uid}`;
-      const lastMessageTime = await store.get(lastMessageKey);
-      const now = Date.now();
-      const minInterval = 65000; // 65 seconds minimum between messages (WaSender allows 1 per minute)
+/**
+ * Webhook endpoint for receiving messages
+ * POST /webhook
+ */
+router.post("/", verifySignature, async (req, res) => {
+  try {
+    const body = req.body;
 
-      if (lastMessageTime && now - lastMessageTime < minInterval) {
-        logger.info("Rate limiting message", {
-          uid,
-          timeSinceLast: now - lastMessageTime,
-          remaining: minInterval - (now - lastMessageTime),
-        });
-        return res.status(200).send("OK");
-      }
+    logger.info("Webhook received", {
+      event: body.event || "unknown",
+      type: body.object || "direct",
+      hasData: !!body.data,
+      dataKeys: body.data ? Object.keys(body.data) : [],
+    });
 
-      // Update last message time
-      await store.set(lastMessageKey, now);
+    // Handle WaSender test webhook
+    if (body.event === "webhook.test") {
+      return res.status(200).send("OK");
     }
 
-    // Command handling
-    if (lower === "hi" || lower === "hello") {
-      const greeting = profile ? `Hello ${profile.name}! 👋` : "Hello! 👋";
-      await sendMessageSafely(whatsappClient, uid, greeting);
-      logger.info("Greeting sent", { to: uid });
-    }
-    // Connect command - handle even for new users
-    else if (lower === "connect") {
-      const isLinked = await hasGoogleCalendarLinked(uid);
-      if (isLinked) {
-        await sendMessageSafely(
-          whatsappClient,
-          uid,
-          "✅ Your Google Calendar is already connected!"
-        );
-      } else {
-        const authUrl = getAuthUrl(uid);
-        await sendMessageSafely(
-          whatsappClient,
-          uid,
-          `🔗 Connect your Google Calendar:\n\n${authUrl}\n\nClick the link above to authorize access to your calendar.`
-        );
-        logger.info("OAuth URL sent", { uid });
-      }
-    }
-    // Onboard command - force start onboarding
-    else if (lower === "onboard") {
-      const onboardingResponse = await startOnboarding(uid);
-      await sendMessageSafely(whatsappClient, uid, onboardingResponse.message);
-      logger.info("Onboarding started via command", { uid });
-    }
-    // Agenda command
-    else if (lower === "agenda") {
-      const isLinked = await hasGoogleCalendarLinked(uid);
-      if (!isLinked) {
-        await sendMessageSafely(
-          whatsappClient,
-          uid,
-          "📅 You're not connected to Google Calendar yet.\n\nType 'connect' to link your calendar and see your agenda."
-        );
-        return res.status(200).send("OK");
-      }
+    const messages = extractMessages(body);
 
-      try {
-        const events = await listEvents(uid, new Date());
-        if (!events.length) {
-          await sendMessageSafely(
-            whatsappClient,
-            uid,
-            "📅 No events scheduled for today 👍"
-          );
-        } else {
-          const lines = events.map((e) => {
-            const hhmm = (e.start || "").substring(11, 16) || "All-day";
-            return `• ${hhmm} — ${e.summary}`;
+    // Acknowledge right away; replies go out through the outbox
+    res.status(200).send("OK");
+
+    for (const messageData of messages) {
+      // Queue behind the sender's earlier messages, in arrival order
+      withUserLock(messageData.from, async () => {
+        // Provider retries deliver the same message again: don't reprocess
+        if (!(await markSeen(messageData.id))) {
+          logger.info("Duplicate message ignored", {
+            id: messageData.id,
+            from: messageData.from,
           });
-          await sendMessageSafely(
-            whatsappClient,
-            uid,
-            `📅 Today's agenda:\n\n${lines.join("\n")}`
-          );
+          return;
         }
-        logger.info("Agenda sent", { to: uid, eventCount: events.length });
-      } catch (error) {
-        logger.error("Failed to fetch agenda", error, { to: uid });
-        await sendMessageSafely(
-          whatsappClient,
-          uid,
-          "❌ Sorry, couldn't fetch your calendar. Please try 'connect' again if needed."
-        );
-      }
-    }
-    // Help command
-    else if (lower === "help") {
-      const helpText = `🤖 Available commands:
-
-• connect - Link your Google Calendar
-• agenda - View today's schedule
-• set tz <timezone> - Set your timezone (e.g., "set tz America/New_York")
-• whoami - Show your profile info
-• onboard - Start onboarding process
-• help - Show this help message
-
-Need help? Just ask!`;
-      await sendMessageSafely(whatsappClient, uid, helpText);
-    }
-    // Whoami command
-    else if (lower === "whoami") {
-      if (profile) {
-        const isLinked = await hasGoogleCalendarLinked(uid);
-        const status = isLinked ? "✅ Connected" : "❌ Not connected";
-        const whoamiText = `👤 Your Profile:
-Name: ${profile.name}
-Email: ${profile.email}
-Phone: ${profile.phone || "Not provided"}
-Calendar: ${status}`;
-        await sendMessageSafely(whatsappClient, uid, whoamiText);
-      } else {
-        await sendMessageSafely(
-          whatsappClient,
-          uid,
-          "❌ Profile not found. Please complete onboarding."
-        );
-      }
-    }
-    // Settings commands
-    else if (lower.startsWith("set tz ")) {
-      const tz = msg.slice(7).trim();
-      await setSettings(uid, { tz });
-      const s = await getSettings(uid);
-      await sendMessageSafely(
-        whatsappClient,
-        uid,
-        `⏰ Timezone updated → ${s.tz}`
-      );
-      logger.info("Timezone updated", { to: uid, tz: s.tz });
-    }
-    // Default response
-    else {
-      await sendMessageSafely(
-        whatsappClient,
-        uid,
-        "🤔 I didn't understand that. Type 'help' to see available commands."
-      );
+        await handleMessage(messageData);
+      }).catch((error) => {
+        logger.error("Error handling message", error, {
+          from: messageData.from,
+        });
+      });
     }
-
-    // Always respond with OK to webhook
-    res.status(200).send("OK");
   } catch (error) {
     logger.error("Error processing webhook", error, {
       body: req.body,
@@ -10,7 +10,15 @@ function createServer() {
   const app = express();
 
   // Middleware
-  app.use(express.json({ limit: "10mb" }));
+  app.use(
+    express.json({
+      limit: "10mb",
+      // Keep the exact bytes so webhook signatures can be verified
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
   app.use(express.urlencoded({ extended: true }));
 
   // Request logging
@@ -1,6 +1,12 @@
 // Cache-based store using cache-manager (supports Redis, Memcache, Memory)
+// Keys expire after CACHE_TTL, so this is only suitable for throwaway data
 const cache = require("../lib/cache");
 const logger = require("../lib/logger");
+const { createKeyedLock } = require("../lib/keyedLock");
+
+// Sets and hashes are read-modify-write JSON blobs, so writes to the same key
+// are serialized to avoid lost updates (within this process only)
+const withKeyLock = createKeyedLock();
 
 // Helper to serialize/deserialize data for cache storage
 function serialize(value) {
@@ -20,18 +26,36 @@ function deserialize(value) {
 module.exports = {
   // SET ops (for users:set, allowlist, etc.)
   async sadd(key, member) {
-    try {
-      const setKey = `set:${key}`;
-      const existing = await cache.get(setKey);
-      const set = existing ? deserialize(existing) : [];
+    return withKeyLock(key, async () => {
+      try {
+        const setKey = `set:${key}`;
+        const existing = await cache.get(setKey);
+        const set = existing ? deserialize(existing) : [];
 
-      if (!set.includes(member)) {
-        set.push(member);
-        await cache.set(setKey, serialize(set));
+        if (!set.includes(member)) {
+          set.push(member);
+          await cache.set(setKey, serialize(set));
+        }
+      } catch (error) {
+        logger.error("Cache sadd error", error, { key, member });
       }
-    } catch (error) {
-      logger.error("Cache sadd error", error, { key, member });
-    }
+    });
+  },
+
+  async srem(key, member) {
+    return withKeyLock(key, async () => {
+      try {
+        const setKey = `set:${key}`;
+        const existing = await cache.get(setKey);
+        const set = existing ? deserialize(existing) : [];
+
+        if (set.includes(member)) {
+          await cache.set(setKey, serialize(set.filter((m) => m !== member)));
+        }
+      } catch (error) {
+        logger.error("Cache srem error", error, { key, member });
+      }
+    });
   },
 
   async smembers(key) {
@@ -71,19 +95,43 @@ module.exports = {
   },
 
   async hset(key, field, value) {
-    try {
-      const hashKey = `hash:${key}`;
-      const existing = await cache.get(hashKey);
-      const hash = existing ? deserialize(existing) : {};
-      hash[field] = value;
-      await cache.set(hashKey, serialize(hash));
-    } catch (error) {
-      logger.error("Cache hset error", error, {
-        key,
-        field,
-        hasValue: !!value,
-      });
-    }
+    return withKeyLock(key, async () => {
+      try {
+        const hashKey = `hash:${key}`;
+        const existing = await cache.get(hashKey);
+        const hash = existing ? deserialize(existing) : {};
+        // No value removes the field, the same in every backend
+        if (value === null || value === undefined) {
+          delete hash[field];
+        } else {
+          hash[field] = value;
+        }
+        await cache.set(hashKey, serialize(hash));
+      } catch (error) {
+        logger.error("Cache hset error", error, {
+          key,
+          field,
+          hasValue: !!value,
+        });
+      }
+    });
+  },
+
+  async hdel(key, field) {
+    return withKeyLock(key, async () => {
+      try {
+        const hashKey = `hash:${key}`;
+        const existing = await cache.get(hashKey);
+        const hash = existing ? deserialize(existing) : {};
+
+        if (field in hash) {
+          delete hash[field];
+          await cache.set(hashKey, serialize(hash));
+        }
+      } catch (error) {
+        logger.error("Cache hdel error", error, { key, field });
+      }
+    });
   },
 
   async hgetall(key) {
@@ -107,11 +155,76 @@ module.exports = {
     }
   },
 
-  async set(key, value) {
-    try {
-      await cache.set(key, value);
-    } catch (error) {
-      logger.error("Cache set error", error, { key, hasValue: !!value });
-    }
+  async set(key, value, ttl = null) {
+    return withKeyLock(key, async () => {
+      try {
+        // No value removes the key, the same in every backend
+        if (value === null || value === undefined) {
+          await cache.del(key);
+        } else {
+          await cache.set(key, value, ttl);
+        }
+      } catch (error) {
+        logger.error("Cache set error", error, { key, hasValue: !!value });
+      }
+    });
+  },
+
+  async setnx(key, value, ttl) {
+    return withKeyLock(key, async () => {
+      try {
+        const existing = await cache.get(key);
+        if (existing !== null && existing !== undefined) return false;
+        await cache.set(key, value, ttl);
+        return true;
+      } catch (error) {
+        logger.error("Cache setnx error", error, { key });
+        return false;
+      }
+    });
+  },
+
+  async incr(key, by = 1) {
+    return withKeyLock(key, async () => {
+      try {
+        const value = (parseInt(await cache.get(key), 10) || 0) + by;
+        await cache.set(key, String(value));
+        return value;
+      } catch (error) {
+        logger.error("Cache incr error", error, { key, by });
+        return null;
+      }
+    });
+  },
+
+  // KEY ops (any type)
+  async del(key) {
+    return withKeyLock(key, async () => {
+      try {
+        await cache.del(key);
+        await cache.del(`hash:${key}`);
+        await cache.del(`set:${key}`);
+      } catch (error) {
+        logger.error("Cache del error", error, { key });
+      }
+    });
+  },
+
+  async expire(key, ttl) {
+    return withKeyLock(key, async () => {
+      try {
+        let found = false;
+        for (const cacheKey of [key, `hash:${key}`, `set:${key}`]) {
+          const existing = await cache.get(cacheKey);
+          if (existing === null || existing === undefined) continue;
+          await cache.set(cacheKey, existing, ttl);
+          found = true;
+        }
+        return found;
+      } catch (error) {
+        logger.error("Cache expire error", error, { key, ttl });
+        return false;
+      }
+    });
   },
 };
@@ -0,0 +1,230 @@
+// File-backed store: keeps everything in memory and persists to a JSON file
+// Nothing is evicted or expired unless a TTL is given (set() or expire()).
+// Every operation reads and mutates memory synchronously, so operations are
+// atomic within this process; only the write to disk is async.
+const fs = require("fs");
+const path = require("path");
+const config = require("../lib/config");
+const logger = require("../lib/logger");
+
+const filePath = path.resolve(config.store.filePath);
+
+// { strings: {key: value}, hashes: {key: {field: value}}, sets: {key: [members]},
+//   expires: {key: epoch ms} }
+let data = { strings: {}, hashes: {}, sets: {}, expires: {} };
+let flushing = null;
+let dirty = false;
+
+/**
+ * Load the store file (a missing file means an empty store)
+ */
+function load() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    data = {
+      strings: parsed.strings || {},
+      hashes: parsed.hashes || {},
+      sets: parsed.sets || {},
+      expires: parsed.expires || {},
+    };
+    logger.info("File store loaded", {
+      filePath,
+      strings: Object.keys(data.strings).length,
+      hashes: Object.keys(data.hashes).length,
+      sets: Object.keys(data.sets).length,
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      // Don't start on top of a file we can't read - we'd overwrite it
+      throw new Error(
+        `Failed to load store file ${filePath}: ${error.message}`
+      );
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    logger.info("File store created", { filePath });
+  }
+}
+
+/**
+ * Remove a key of any type
+ * @param {string} key - Key
+ */
+function removeKey(key) {
+  delete data.strings[key];
+  delete data.hashes[key];
+  delete data.sets[key];
+  delete data.expires[key];
+}
+
+/**
+ * Drop a key if its TTL has passed
+ * @param {string} key - Key
+ */
+function expireIfDue(key) {
+  const expiresAt = data.expires[key];
+  if (expiresAt && expiresAt <= Date.now()) removeKey(key);
+}
+
+/**
+ * Check whether a key exists (of any type)
+ * @param {string} key - Key
+ * @returns {boolean} - true if the key holds a value
+ */
+function exists(key) {
+  return key in data.strings || key in data.hashes || key in data.sets;
+}
+
+/**
+ * Drop every key whose TTL has passed
+ */
+function pruneExpired() {
+  for (const key of Object.keys(data.expires)) expireIfDue(key);
+}
+
+/**
+ * Write the store to disk atomically (temp file + rename)
+ * Writes requested while one is running are folded into the next write.
+ * @returns {Promise<void>} - Resolves once the change is on disk
+ */
+function persist() {
+  dirty = true;
+  if (!flushing) {
+    flushing = (async () => {
+      try {
+        while (dirty) {
+          dirty = false;
+          pruneExpired();
+          const tmpPath = `${filePath}.tmp`;
+          await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+          await fs.promises.rename(tmpPath, filePath);
+        }
+      } catch (error) {
+        logger.error("File store write error", error, { filePath });
+      } finally {
+        flushing = null;
+      }
+    })();
+  }
+  return flushing;
+}
+
+load();
+
+module.exports = {
+  // SET ops (for users:set, allowlist, etc.)
+  async sadd(key, member) {
+    expireIfDue(key);
+    const set = data.sets[key] || (data.sets[key] = []);
+    if (!set.includes(member)) {
+      set.push(member);
+      await persist();
+    }
+  },
+
+  async srem(key, member) {
+    expireIfDue(key);
+    const set = data.sets[key];
+    if (set && set.includes(member)) {
+      data.sets[key] = set.filter((m) => m !== member);
+      if (!data.sets[key].length) removeKey(key);
+      await persist();
+    }
+  },
+
+  async smembers(key) {
+    expireIfDue(key);
+    return [...(data.sets[key] || [])];
+  },
+
+  async sismember(key, member) {
+    expireIfDue(key);
+    return (data.sets[key] || []).includes(member);
+  },
+
+  // HASH ops (for per-user settings and tokens)
+  async hget(key, field) {
+    expireIfDue(key);
+    return data.hashes[key]?.[field] ?? null;
+  },
+
+  async hset(key, field, value) {
+    expireIfDue(key);
+    if (value === null || value === undefined) {
+      // No value removes the field, the same in every backend
+      const hash = data.hashes[key];
+      if (!hash || !(field in hash)) return;
+      delete hash[field];
+      if (!Object.keys(hash).length) removeKey(key);
+    } else {
+      const hash = data.hashes[key] || (data.hashes[key] = {});
+      hash[field] = value;
+    }
+    await persist();
+  },
+
+  async hdel(key, field) {
+    expireIfDue(key);
+    const hash = data.hashes[key];
+    if (hash && field in hash) {
+      delete hash[field];
+      if (!Object.keys(hash).length) removeKey(key);
+      await persist();
+    }
+  },
+
+  async hgetall(key) {
+    expireIfDue(key);
+    return { ...(data.hashes[key] || {}) };
+  },
+
+  // STRING ops (flags/caches)
+  async get(key) {
+    expireIfDue(key);
+    return data.strings[key] ?? null;
+  },
+
+  async set(key, value, ttl = null) {
+    if (value === null || value === undefined) {
+      removeKey(key);
+    } else {
+      data.strings[key] = value;
+      if (ttl) {
+        data.expires[key] = Date.now() + ttl * 1000;
+      } else {
+        delete data.expires[key];
+      }
+    }
+    await persist();
+  },
+
+  async setnx(key, value, ttl) {
+    expireIfDue(key);
+    if (exists(key)) return false;
+    data.strings[key] = value;
+    data.expires[key] = Date.now() + ttl * 1000;
+    await persist();
+    return true;
+  },
+
+  async incr(key, by = 1) {
+    expireIfDue(key);
+    const value = (parseInt(data.strings[key], 10) || 0) + by;
+    data.strings[key] = String(value);
+    await persist();
+    return value;
+  },
+
+  // KEY ops (any type)
+  async del(key) {
+    removeKey(key);
+    await persist();
+  },
+
+  async expire(key, ttl) {
+    expireIfDue(key);
+    if (!exists(key)) return false;
+    data.expires[key] = Date.now() + ttl * 1000;
+    await persist();
+    return true;
+  },
+};
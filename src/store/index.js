@@ -1,11 +1,16 @@
-// Storage factory: cache-manager based (supports Redis, Memcache, Memory)
+// Storage factory: durable file or native Redis store; cache-manager store for throwaway dev data
 const config = require("../lib/config");
 
 let impl;
-if (config.store.backend === "memory" || config.store.backend === "cache") {
+if (config.store.backend === "file") {
+  impl = require("./file");
+} else if (
+  config.store.backend === "memory" ||
+  config.store.backend === "cache"
+) {
   impl = require("./cache");
 } else if (config.store.backend === "redis") {
-  impl = require("./cache"); // cache store can handle Redis via cache-manager
+  impl = require("./redis");
 } else {
   throw new Error(`Unsupported STORE_BACKEND=${config.store.backend}`);
 }
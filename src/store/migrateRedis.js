@@ -0,0 +1,156 @@
+const { getRedisClient, closeRedisClient } = require("../lib/redisClient");
+const logger = require("../lib/logger");
+
+// Keys the app keeps for good: only these lose the cache TTL. Anything
+// else (conversation state, listings, dedupe marks) keeps whatever TTL it has.
+const DURABLE_PREFIXES = ["user:", "outbox:", "agenda:sent:", "review:sent:"];
+
+/**
+ * Decode a value written by the cache store. cache-manager-redis-store
+ * JSON-encodes values, and the cache store had already JSON-encoded sets and
+ * hashes, so blobs may be wrapped twice.
+ * @param {string} raw - Stored value
+ * @returns {any} - Decoded value, or undefined if it isn't JSON
+ */
+function decode(raw) {
+  let value = raw;
+  for (let i = 0; i < 2 && typeof value === "string"; i++) {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return i === 0 ? undefined : value;
+    }
+  }
+  return value;
+}
+
+/**
+ * Copy a `set:<key>` blob into a native Redis set
+ * @param {redis.RedisClient} client - Redis client
+ * @param {string} blobKey - Blob key
+ * @returns {boolean} - true if migrated
+ */
+async function migrateSet(client, blobKey) {
+  const members = decode(await client.get(blobKey));
+  if (!Array.isArray(members)) {
+    logger.warn("Skipping set blob that is not a JSON array", { blobKey });
+    return false;
+  }
+
+  const key = blobKey.slice("set:".length);
+  if (members.length) {
+    await client.sAdd(key, members.map(String));
+  }
+  await client.del(blobKey);
+  return true;
+}
+
+/**
+ * Copy a `hash:<key>` blob into a native Redis hash. Fields already present
+ * in the native hash are newer and are kept.
+ * @param {redis.RedisClient} client - Redis client
+ * @param {string} blobKey - Blob key
+ * @returns {boolean} - true if migrated
+ */
+async function migrateHash(client, blobKey) {
+  const hash = decode(await client.get(blobKey));
+  if (!hash || typeof hash !== "object" || Array.isArray(hash)) {
+    logger.warn("Skipping hash blob that is not a JSON object", { blobKey });
+    return false;
+  }
+
+  const key = blobKey.slice("hash:".length);
+  for (const [field, value] of Object.entries(hash)) {
+    if (value === null || value === undefined) continue;
+    await client.hSetNX(key, field, String(value));
+  }
+  await client.del(blobKey);
+  return true;
+}
+
+/**
+ * Unwrap a JSON-encoded string value, and drop the cache TTL from durable keys
+ * @param {redis.RedisClient} client - Redis client
+ * @param {string} key - Key
+ * @returns {boolean} - true if the key was changed
+ */
+async function migrateString(client, key) {
+  const raw = await client.get(key);
+  const durable = DURABLE_PREFIXES.some((p) => key.startsWith(p));
+  let changed = false;
+
+  let value;
+  try {
+    value = JSON.parse(raw);
+  } catch (error) {
+    value = undefined; // plain text - already native
+  }
+
+  if (value === null) {
+    await client.del(key);
+    return true;
+  }
+  // Objects/arrays are JSON text the app wrote itself - already native
+  if (
+    value !== undefined &&
+    typeof value !== "object" &&
+    String(value) !== raw
+  ) {
+    await client.set(key, String(value), { KEEPTTL: true });
+    changed = true;
+  }
+
+  if (durable && (await client.persist(key))) {
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Convert data written by the cache store (STORE_BACKEND=redis before the
+ * native store existed) into native Redis structures:
+ * - `set:<key>` JSON blobs become Redis sets at `<key>`
+ * - `hash:<key>` JSON blobs become Redis hashes at `<key>`
+ * - JSON-encoded strings are unwrapped; durable ones (DURABLE_PREFIXES) lose
+ *   their cache TTL, the rest keep it
+ * Safe to run repeatedly.
+ * @returns {Object} - { sets, hashes, strings } counts of migrated keys
+ */
+async function migrateRedis() {
+  const client = await getRedisClient();
+  const counts = { sets: 0, hashes: 0, strings: 0 };
+
+  for await (const key of client.scanIterator({ COUNT: 100 })) {
+    try {
+      if ((await client.type(key)) !== "string") continue;
+
+      if (key.startsWith("set:")) {
+        if (await migrateSet(client, key)) counts.sets++;
+      } else if (key.startsWith("hash:")) {
+        if (await migrateHash(client, key)) counts.hashes++;
+      } else if (await migrateString(client, key)) {
+        counts.strings++;
+      }
+    } catch (error) {
+      logger.error("Failed to migrate Redis key", error, { key });
+    }
+  }
+
+  logger.info("Redis store migration finished", counts);
+  return counts;
+}
+
+// Allow running standalone: npm run migrate:redis
+if (require.main === module) {
+  migrateRedis()
+    .then(() => closeRedisClient())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error("Redis store migration failed", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateRedis,
+};
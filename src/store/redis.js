@@ -0,0 +1,161 @@
+// Native Redis store: sets and hashes map to Redis SET/HASH commands, so every
+// operation is a single atomic command. Keys never expire unless set() gets a TTL.
+const { getRedisClient } = require("../lib/redisClient");
+const logger = require("../lib/logger");
+
+module.exports = {
+  // SET ops (for users:set, allowlist, etc.)
+  async sadd(key, member) {
+    try {
+      const client = await getRedisClient();
+      await client.sAdd(key, String(member));
+    } catch (error) {
+      logger.error("Redis sadd error", error, { key, member });
+    }
+  },
+
+  async srem(key, member) {
+    try {
+      const client = await getRedisClient();
+      await client.sRem(key, String(member));
+    } catch (error) {
+      logger.error("Redis srem error", error, { key, member });
+    }
+  },
+
+  async smembers(key) {
+    try {
+      const client = await getRedisClient();
+      return await client.sMembers(key);
+    } catch (error) {
+      logger.error("Redis smembers error", error, { key });
+      return [];
+    }
+  },
+
+  async sismember(key, member) {
+    try {
+      const client = await getRedisClient();
+      return await client.sIsMember(key, String(member));
+    } catch (error) {
+      logger.error("Redis sismember error", error, { key, member });
+      return false;
+    }
+  },
+
+  // HASH ops (for per-user settings and tokens)
+  async hget(key, field) {
+    try {
+      const client = await getRedisClient();
+      return (await client.hGet(key, field)) ?? null;
+    } catch (error) {
+      logger.error("Redis hget error", error, { key, field });
+      return null;
+    }
+  },
+
+  async hset(key, field, value) {
+    try {
+      const client = await getRedisClient();
+      if (value === null || value === undefined) {
+        await client.hDel(key, field);
+      } else {
+        await client.hSet(key, field, String(value));
+      }
+    } catch (error) {
+      logger.error("Redis hset error", error, {
+        key,
+        field,
+        hasValue: !!value,
+      });
+    }
+  },
+
+  async hdel(key, field) {
+    try {
+      const client = await getRedisClient();
+      await client.hDel(key, field);
+    } catch (error) {
+      logger.error("Redis hdel error", error, { key, field });
+    }
+  },
+
+  async hgetall(key) {
+    try {
+      const client = await getRedisClient();
+      return { ...(await client.hGetAll(key)) };
+    } catch (error) {
+      logger.error("Redis hgetall error", error, { key });
+      return {};
+    }
+  },
+
+  // STRING ops (flags/caches)
+  async get(key) {
+    try {
+      const client = await getRedisClient();
+      return await client.get(key);
+    } catch (error) {
+      logger.error("Redis get error", error, { key });
+      return null;
+    }
+  },
+
+  async set(key, value, ttl = null) {
+    try {
+      const client = await getRedisClient();
+      if (value === null || value === undefined) {
+        await client.del(key);
+      } else if (ttl) {
+        await client.set(key, String(value), { EX: ttl });
+      } else {
+        await client.set(key, String(value));
+      }
+    } catch (error) {
+      logger.error("Redis set error", error, { key, hasValue: !!value });
+    }
+  },
+
+  async setnx(key, value, ttl) {
+    try {
+      const client = await getRedisClient();
+      // SET NX EX: the value and its TTL are written in one atomic call
+      return (
+        (await client.set(key, String(value), { NX: true, EX: ttl })) === "OK"
+      );
+    } catch (error) {
+      logger.error("Redis setnx error", error, { key });
+      return false;
+    }
+  },
+
+  async incr(key, by = 1) {
+    try {
+      const client = await getRedisClient();
+      return await client.incrBy(key, by);
+    } catch (error) {
+      logger.error("Redis incr error", error, { key, by });
+      return null;
+    }
+  },
+
+  // KEY ops (any type)
+  async del(key) {
+    try {
+      const client = await getRedisClient();
+      await client.del(key);
+    } catch (error) {
+      logger.error("Redis del error", error, { key });
+    }
+  },
+
+  async expire(key, ttl) {
+    try {
+      const client = await getRedisClient();
+      return await client.expire(key, ttl);
+    } catch (error) {
+      logger.error("Redis expire error", error, { key, ttl });
+      return false;
+    }
+  },
+};
@@ -0,0 +1,20 @@
+const { createKeyedLock } = require("../lib/keyedLock");
+
+const withKeyLock = createKeyedLock();
+
+/**
+ * Run work for a user after any earlier work for that user has finished.
+ * Incoming messages and scheduled jobs that touch conversation state
+ * (onboarding, reviews) go through here, so one user's messages are handled
+ * strictly in arrival order while different users still run concurrently.
+ * @param {string} uid - User ID
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} - fn's result
+ */
+function withUserLock(uid, fn) {
+  return withKeyLock(uid, fn);
+}
+
+module.exports = {
+  withUserLock,
+};
@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const store = require("../store");
+const logger = require("../lib/logger");
+const { createKeyedLock } = require("../lib/keyedLock");
+
+// Changes read and rewrite the whole list, so they run one at a time per
+// user (the evening review completes goals outside the conversation lock)
+const withGoalsLock = createKeyedLock();
+
+/**
+ * Build the store key holding a user's goals
+ * @param {string} uid - User ID
+ * @returns {string} - Store key
+ */
+function goalsKey(uid) {
+  return `user:${uid}:goals`;
+}
+
+/**
+ * Get all goals for a user, in display order
+ * @param {string} uid - User ID
+ * @returns {Array<Object>} - Goals [{id, text, done, notes, createdAt, completedAt}]
+ */
+async function getGoals(uid) {
+  const stored = await store.get(goalsKey(uid));
+  if (!stored) return [];
+  try {
+    const goals = JSON.parse(stored);
+    return Array.isArray(goals) ? goals : [];
+  } catch (error) {
+    logger.error("Failed to parse goals", error, { uid });
+    return [];
+  }
+}
+
+/**
+ * Persist the full goal list for a user
+ * @param {string} uid - User ID
+ * @param {Array<Object>} goals - Goals in display order
+ */
+async function saveGoals(uid, goals) {
+  await store.set(goalsKey(uid), JSON.stringify(goals));
+}
+
+/**
+ * Resolve a 1-based list position to an array index
+ * @param {Array<Object>} goals - Goal list
+ * @param {number|string} position - 1-based position as shown in "list goals"
+ * @returns {number} - Array index
+ */
+function resolveIndex(goals, position) {
+  const n = parseInt(position, 10);
+  if (!Number.isInteger(n) || n < 1 || n > goals.length) {
+    throw new Error(
+      goals.length
+        ? `Goal number must be between 1 and ${goals.length}`
+        : "You don't have any goals yet"
+    );
+  }
+  return n - 1;
+}
+
+/**
+ * Add a new goal
+ * @param {string} uid - User ID
+ * @param {string} text - Goal description
+ * @returns {Object} - { goal, position }
+ */
+async function addGoal(uid, text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) {
+    throw new Error("Goal text cannot be empty");
+  }
+
+  return withGoalsLock(uid, async () => {
+    const goals = await getGoals(uid);
+    const goal = {
+      id: crypto.randomUUID(),
+      text: trimmed,
+      done: false,
+      notes: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+    };
+    goals.push(goal);
+    await saveGoals(uid, goals);
+
+    logger.info("Goal added", { uid, goalId: goal.id, total: goals.length });
+    return { goal, position: goals.length };
+  });
+}
+
+/**
+ * Mark a goal as completed
+ * @param {string} uid - User ID
+ * @param {number|string} position - 1-based position
+ * @returns {Object} - Completed goal
+ */
+async function completeGoal(uid, position) {
+  return withGoalsLock(uid, async () => {
+    const goals = await getGoals(uid);
+    const goal = goals[resolveIndex(goals, position)];
+    if (!goal.done) {
+      goal.done = true;
+      goal.completedAt = new Date().toISOString();
+      await saveGoals(uid, goals);
+      logger.info("Goal completed", { uid, goalId: goal.id });
+    }
+    return goal;
+  });
+}
+
+/**
+ * Mark a goal as completed by its ID (positions can shift while the
+ * evening review waits for an answer)
+ * @param {string} uid - User ID
+ * @param {string} id - Goal ID
+ * @returns {Object|null} - Completed goal, or null if it no longer exists
+ */
+async function completeGoalById(uid, id) {
+  return withGoalsLock(uid, async () => {
+    const goals = await getGoals(uid);
+    const goal = goals.find((g) => g.id === id);
+    if (!goal) return null;
+    if (!goal.done) {
+      goal.done = true;
+      goal.completedAt = new Date().toISOString();
+      await saveGoals(uid, goals);
+      logger.info("Goal completed", { uid, goalId: goal.id });
+    }
+    return goal;
+  });
+}
+
+/**
+ * Delete a goal
+ * @param {string} uid - User ID
+ * @param {number|string} position - 1-based position
+ * @returns {Object} - Removed goal
+ */
+async function deleteGoal(uid, position) {
+  return withGoalsLock(uid, async () => {
+    const goals = await getGoals(uid);
+    const [removed] = goals.splice(resolveIndex(goals, position), 1);
+    await saveGoals(uid, goals);
+    logger.info("Goal deleted", { uid, goalId: removed.id });
+    return removed;
+  });
+}
+
+/**
+ * Move a goal to a new position in the list
+ * @param {string} uid - User ID
+ * @param {number|string} from - Current 1-based position
+ * @param {number|string} to - Target 1-based position
+ * @returns {Array<Object>} - Reordered goals
+ */
+async function moveGoal(uid, from, to) {
+  return withGoalsLock(uid, async () => {
+    const goals = await getGoals(uid);
+    const fromIndex = resolveIndex(goals, from);
+    const toIndex = resolveIndex(goals, to);
+    const [goal] = goals.splice(fromIndex, 1);
+    goals.splice(toIndex, 0, goal);
+    await saveGoals(uid, goals);
+    logger.info("Goal moved", { uid, goalId: goal.id, from, to });
+    return goals;
+  });
+}
+
+/**
+ * Attach a note to a goal
+ * @param {string} uid - User ID
+ * @param {number|string} position - 1-based position
+ * @param {string} text - Note text
+ * @returns {Object} - Updated goal
+ */
+async function addGoalNote(uid, position, text) {
+  const trimmed = (text || "").trim();
+  if (!trimmed) {
+    throw new Error("Note text cannot be empty");
+  }
+
+  return withGoalsLock(uid, async () => {
+    const goals = await getGoals(uid);
+    const goal = goals[resolveIndex(goals, position)];
+    goal.notes = goal.notes || [];
+    goal.notes.push({ text: trimmed, createdAt: new Date().toISOString() });
+    await saveGoals(uid, goals);
+    logger.info("Goal note added", { uid, goalId: goal.id });
+    return goal;
+  });
+}
+
+/**
+ * Format goals as a numbered WhatsApp list
+ * @param {Array<Object>} goals - Goals in display order
+ * @returns {string} - Formatted list
+ */
+function formatGoals(goals) {
+  return goals
+    .map((g, i) => {
+      const mark = g.done ? "✅" : "⬜";
+      const notes = g.notes && g.notes.length ? ` (${g.notes.length} 📝)` : "";
+      return `${i + 1}. ${mark} ${g.text}${notes}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Format a single goal with its notes
+ * @param {Object} goal - Goal
+ * @param {number} position - 1-based position
+ * @returns {string} - Formatted goal details
+ */
+function formatGoal(goal, position) {
+  const status = goal.done ? "✅ Done" : "⬜ Open";
+  const notes =
+    goal.notes && goal.notes.length
+      ? goal.notes.map((n) => `• ${n.text}`).join("\n")
+      : "No notes yet";
+  return `🎯 Goal ${position}: ${goal.text}\nStatus: ${status}\n\n📝 Notes:\n${notes}`;
+}
+
+module.exports = {
+  getGoals,
+  addGoal,
+  completeGoal,
+  completeGoalById,
+  deleteGoal,
+  moveGoal,
+  addGoalNote,
+  formatGoals,
+  formatGoal,
+};
@@ -55,7 +55,7 @@ async function setOnboardingState(uid, state, data = {}) {
  */
 async function clearOnboardingState(uid) {
   const key = `onboarding:${uid}`;
-  await store.set(key, null);
+  await store.del(key);
   logger.info("Onboarding state cleared", { uid });
 }
 
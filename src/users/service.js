@@ -1,6 +1,10 @@
 const store = require("../store");
+const { timezoneForPhone } = require("../lib/timezone");
 
 const USERS_SET = "users:set";
+const DEFAULT_REMIND_MINUTES = 10;
+const DEFAULT_WORK_START = "09:00";
+const DEFAULT_WORK_END = "17:00";
 
 /**
  * Add user to the system if they don't exist
@@ -10,10 +14,14 @@ const USERS_SET = "users:set";
 async function addUserIfNew(uid) {
   if (!(await store.sismember(USERS_SET, uid))) {
     await store.sadd(USERS_SET, uid);
-    // Set default settings
+    // Set default settings (timezone guessed from the country calling code)
     const settingsKey = `user:${uid}:settings`;
     if (!(await store.hget(settingsKey, "tz")))
-      await store.hset(settingsKey, "tz", process.env.TZ || "Africa/Lagos");
+      await store.hset(
+        settingsKey,
+        "tz",
+        timezoneForPhone(uid) || process.env.TZ || "Africa/Lagos"
+      );
     if (!(await store.hget(settingsKey, "calendarId")))
       await store.hset(settingsKey, "calendarId", "primary");
     return true; // New user
@@ -21,12 +29,45 @@ async function addUserIfNew(uid) {
   return false; // Existing user
 }
 
+/**
+ * List all known users
+ * @returns {Array<string>} - User IDs
+ */
+async function listUsers() {
+  return store.smembers(USERS_SET);
+}
+
+/**
+ * Parse the stored list of calendars that feed agenda and reminders
+ * @param {string} value - JSON array of { id, name } (may be missing)
+ * @param {string} calendarId - Default calendar when none are chosen
+ * @returns {Array<Object>} - [{ id, name }]
+ */
+function parseCalendars(value, calendarId) {
+  try {
+    const calendars = JSON.parse(value);
+    if (Array.isArray(calendars) && calendars.length) return calendars;
+  } catch (error) {
+    // Not set (or unreadable) - fall back to the default calendar
+  }
+  return [{ id: calendarId, name: null }];
+}
+
 async function getSettings(uid) {
   const key = `user:${uid}:settings`;
   const all = await store.hgetall(key);
+  const calendarId =
+    all.calendarId || process.env.GOOGLE_CALENDAR_ID || "primary";
   return {
     tz: all.tz || process.env.TZ || "Africa/Lagos",
-    calendarId: all.calendarId || process.env.GOOGLE_CALENDAR_ID || "primary",
+    calendarId,
+    calendars: parseCalendars(all.calendars, calendarId),
+    remindMinutes:
+      all.remindMinutes !== undefined && all.remindMinutes !== null
+        ? parseInt(all.remindMinutes, 10)
+        : DEFAULT_REMIND_MINUTES,
+    workStart: all.workStart || DEFAULT_WORK_START,
+    workEnd: all.workEnd || DEFAULT_WORK_END,
   };
 }
 
@@ -35,6 +76,17 @@ async function setSettings(uid, partial) {
   if (partial.tz) await store.hset(key, "tz", partial.tz);
   if (partial.calendarId)
     await store.hset(key, "calendarId", partial.calendarId);
+  if (partial.remindMinutes !== undefined)
+    await store.hset(key, "remindMinutes", String(partial.remindMinutes));
+  if (partial.workStart) await store.hset(key, "workStart", partial.workStart);
+  if (partial.workEnd) await store.hset(key, "workEnd", partial.workEnd);
+  if (partial.calendars !== undefined) {
+    if (partial.calendars && partial.calendars.length) {
+      await store.hset(key, "calendars", JSON.stringify(partial.calendars));
+    } else {
+      await store.hdel(key, "calendars");
+    }
+  }
   return getSettings(uid);
 }
 
@@ -84,6 +136,7 @@ async function hasGoogleCalendarLinked(uid) {
 
 module.exports = {
   addUserIfNew,
+  listUsers,
   getSettings,
   setSettings,
   getUserProfile,
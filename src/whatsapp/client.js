@@ -1,15 +1,23 @@
 const config = require("../lib/config");
 const logger = require("../lib/logger");
 const WaSenderProvider = require("./providers/wasender");
+const CloudProvider = require("./providers/cloud");
 
 /**
  * WhatsApp client factory
- * Returns WaSender provider (only provider supported)
- * @returns {WaSenderProvider} Provider instance
+ * Returns the provider selected by MESSAGING_PROVIDER (wasender or cloud)
+ * @returns {WaSenderProvider|CloudProvider} Provider instance
  */
 function createWhatsAppClient() {
-  logger.info("Creating WhatsApp client", { provider: "wasender" });
-  return new WaSenderProvider();
+  const provider = config.messagingProvider;
+  logger.info("Creating WhatsApp client", { provider });
+
+  if (provider === "wasender") {
+    return new WaSenderProvider();
+  } else if (provider === "cloud") {
+    return new CloudProvider();
+  }
+  throw new Error(`Unsupported MESSAGING_PROVIDER=${provider}`);
 }
 
 module.exports = {
@@ -0,0 +1,36 @@
+const store = require("../store");
+const logger = require("../lib/logger");
+
+// How long a message id is remembered (provider retries arrive well within this)
+const SEEN_TTL_SECONDS = 24 * 60 * 60;
+
+// Ids being checked right now, so simultaneous deliveries can't both pass
+const inFlight = new Set();
+
+/**
+ * Record an inbound message id
+ * @param {string} messageId - Provider message id (WaSender key.id / Cloud wamid)
+ * @returns {boolean} - true the first time an id is seen, false for replays
+ */
+async function markSeen(messageId) {
+  if (!messageId) return true;
+  if (inFlight.has(messageId)) return false;
+
+  inFlight.add(messageId);
+  try {
+    const key = `seen:msg:${messageId}`;
+    if (await store.get(key)) return false;
+    await store.set(key, Date.now(), SEEN_TTL_SECONDS);
+    return true;
+  } catch (error) {
+    // Better to risk a duplicate reply than to drop the message
+    logger.error("Failed to check message id", error, { messageId });
+    return true;
+  } finally {
+    inFlight.delete(messageId);
+  }
+}
+
+module.exports = {
+  markSeen,
+};
@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const store = require("../store");
+const logger = require("../lib/logger");
+const { createWhatsAppClient } = require("./client");
+
+const QUEUE_KEY = "outbox:queue";
+const DEAD_KEY = "outbox:dead";
+
+// Attempts per message before it is moved to the dead-letter list
+const MAX_ATTEMPTS = 5;
+// Base delay between attempts of a failing message (doubles each time)
+const RETRY_DELAY_MS = 5000;
+// How often an idle worker re-checks the queue
+const IDLE_POLL_MS = 1000;
+// Dead-letter entries kept for inspection
+const DEAD_LIMIT = 100;
+
+let client = null;
+let running = false;
+let busy = false;
+let timer = null;
+let nextSendAt = 0;
+let lock = Promise.resolve();
+
+/**
+ * Serialize read-modify-write access to the queue within this process
+ * @param {Function} fn - Async function to run exclusively
+ * @returns {Promise<any>} - fn's result
+ */
+function withLock(fn) {
+  const result = lock.then(fn, fn);
+  lock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Read a JSON list from the store
+ * @param {string} key - Store key
+ * @returns {Array<Object>} - List (empty if missing)
+ */
+async function readList(key) {
+  const stored = await store.get(key);
+  if (!stored) return [];
+  try {
+    const list = JSON.parse(stored);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    logger.error("Failed to parse outbox list", error, { key });
+    return [];
+  }
+}
+
+/**
+ * Write a JSON list to the store
+ * @param {string} key - Store key
+ * @param {Array<Object>} list - List to store
+ */
+async function writeList(key, list) {
+  await store.set(key, JSON.stringify(list));
+}
+
+/**
+ * Queue a text message for delivery. Each recipient's messages are sent in
+ * enqueue order.
+ * @param {string} to - Recipient (uid / phone number)
+ * @param {string} text - Message text
+ * @returns {Object} - { id, depth }
+ */
+async function enqueue(to, text) {
+  const job = {
+    id: crypto.randomUUID(),
+    to,
+    text,
+    attempts: 0,
+    enqueuedAt: new Date().toISOString(),
+  };
+
+  const depth = await withLock(async () => {
+    const queue = await readList(QUEUE_KEY);
+    queue.push(job);
+    await writeList(QUEUE_KEY, queue);
+    return queue.length;
+  });
+
+  logger.info("Message queued", {
+    id: job.id,
+    to,
+    messageLength: text.length,
+    depth,
+  });
+
+  wake();
+  return { id: job.id, depth };
+}
+
+/**
+ * Get queue statistics
+ * @returns {Object} - { depth, dead, oldestEnqueuedAt, nextSendAt }
+ */
+async function getStats() {
+  const queue = await readList(QUEUE_KEY);
+  const dead = await readList(DEAD_KEY);
+  return {
+    depth: queue.length,
+    dead: dead.length,
+    oldestEnqueuedAt: queue[0]?.enqueuedAt || null,
+    nextSendAt:
+      nextSendAt > Date.now() ? new Date(nextSendAt).toISOString() : null,
+  };
+}
+
+/**
+ * Check if a send error will fail again however often it is retried
+ * (a client error such as a bad number or a rejected payload)
+ * @param {Error} error - Error from the provider's sendText
+ * @returns {boolean} - true if the message should be dead-lettered now
+ */
+function isPermanentError(error) {
+  return (
+    error.status >= 400 &&
+    error.status < 500 &&
+    error.status !== 408 &&
+    error.status !== 429
+  );
+}
+
+/**
+ * Pick the next message that may be sent now: the oldest one that isn't
+ * waiting to be retried and isn't behind a retrying message to the same
+ * recipient (so one recipient's failures don't hold up everyone else)
+ * @param {Array<Object>} queue - Queued jobs, oldest first
+ * @param {number} now - Current time (ms)
+ * @returns {Object} - { job } to send, or { wait } ms until one is due
+ */
+function nextJob(queue, now) {
+  const blocked = new Set();
+  let wait = IDLE_POLL_MS;
+  for (const job of queue) {
+    if (blocked.has(job.to)) continue;
+    if (job.notBefore && job.notBefore > now) {
+      blocked.add(job.to);
+      wait = Math.min(wait, job.notBefore - now);
+      continue;
+    }
+    return { job };
+  }
+  return { wait };
+}
+
+/**
+ * Try to send the next due message
+ * @returns {number} - Milliseconds until the worker should run again
+ */
+async function processNext() {
+  const wait = nextSendAt - Date.now();
+  if (wait > 0) return wait;
+
+  const next = nextJob(await readList(QUEUE_KEY), Date.now());
+  if (!next.job) return next.wait;
+  const { job } = next;
+
+  try {
+    await client.sendText(job.to, job.text);
+  } catch (error) {
+    // Provider told us how long to back off: pause the whole queue
+    if (error.retryAfter) {
+      nextSendAt = Date.now() + error.retryAfter * 1000;
+      logger.warn("Outbox rate limited - pausing", {
+        id: job.id,
+        to: job.to,
+        retryAfter: error.retryAfter,
+      });
+      return error.retryAfter * 1000;
+    }
+
+    const attempts = job.attempts + 1;
+    const dropped = isPermanentError(error) || attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_DELAY_MS * Math.pow(2, attempts - 1);
+    await withLock(async () => {
+      const queue = await readList(QUEUE_KEY);
+      const index = queue.findIndex((j) => j.id === job.id);
+      if (index === -1) return;
+      if (dropped) {
+        queue.splice(index, 1);
+        const dead = await readList(DEAD_KEY);
+        dead.unshift({
+          ...job,
+          attempts,
+          error: error.message,
+          failedAt: new Date().toISOString(),
+        });
+        await writeList(DEAD_KEY, dead.slice(0, DEAD_LIMIT));
+      } else {
+        queue[index] = {
+          ...job,
+          attempts,
+          lastError: error.message,
+          notBefore: Date.now() + delay,
+        };
+      }
+      await writeList(QUEUE_KEY, queue);
+    });
+
+    // A failed attempt still counts against the provider's send rate
+    const interval = client.minSendIntervalMs || 0;
+    nextSendAt = Date.now() + interval;
+
+    if (dropped) {
+      logger.error(
+        attempts >= MAX_ATTEMPTS
+          ? "Outbox message dropped after max attempts"
+          : "Outbox message dropped - not retryable",
+        error,
+        { id: job.id, to: job.to, attempts, status: error.status }
+      );
+      return interval;
+    }
+
+    logger.warn("Outbox send failed - will retry", {
+      id: job.id,
+      to: job.to,
+      attempts,
+      delay,
+      error: error.message,
+    });
+    return interval;
+  }
+
+  const depth = await withLock(async () => {
+    const queue = await readList(QUEUE_KEY);
+    const index = queue.findIndex((j) => j.id === job.id);
+    if (index !== -1) queue.splice(index, 1);
+    await writeList(QUEUE_KEY, queue);
+    return queue.length;
+  });
+
+  const interval = client.minSendIntervalMs || 0;
+  nextSendAt = Date.now() + interval;
+  logger.info("Outbox message delivered", {
+    id: job.id,
+    to: job.to,
+    attempts: job.attempts + 1,
+    queuedMs: Date.now() - new Date(job.enqueuedAt).getTime(),
+    depth,
+  });
+  return depth ? interval : IDLE_POLL_MS;
+}
+
+/**
+ * Run the worker again after `delay` milliseconds
+ * @param {number} delay - Milliseconds
+ */
+function schedule(delay) {
+  clearTimeout(timer);
+  timer = setTimeout(tick, Math.max(0, delay));
+}
+
+/**
+ * One worker iteration: send at most one message, then reschedule
+ */
+async function tick() {
+  timer = null;
+  if (!running || busy) return;
+
+  busy = true;
+  let delay = IDLE_POLL_MS;
+  try {
+    delay = await processNext();
+  } catch (error) {
+    logger.error("Outbox worker error", error);
+  } finally {
+    busy = false;
+  }
+
+  if (running) schedule(delay);
+}
+
+/**
+ * Run the worker as soon as the rate limit allows (after an enqueue)
+ */
+function wake() {
+  if (!running || busy) return;
+  schedule(nextSendAt - Date.now());
+}
+
+/**
+ * Start the delivery worker
+ */
+function startWorker() {
+  if (running) return;
+  client = createWhatsAppClient();
+  running = true;
+  schedule(0);
+  logger.info("Outbox worker started", {
+    minSendIntervalMs: client.minSendIntervalMs || 0,
+  });
+}
+
+/**
+ * Stop the delivery worker. Queued messages stay in the store.
+ */
+function stopWorker() {
+  running = false;
+  clearTimeout(timer);
+  timer = null;
+  logger.info("Outbox worker stopped");
+}
+
+module.exports = {
+  enqueue,
+  getStats,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,231 @@
+const axios = require("axios");
+const config = require("../../lib/config");
+const logger = require("../../lib/logger");
+const { hmacSha256, safeEqual } = require("../../lib/signing");
+
+/**
+ * WhatsApp Cloud API (Meta Graph API) provider implementation
+ * Sends messages via the Graph API with retry logic
+ */
+class CloudProvider {
+  constructor() {
+    this.baseUrl = config.whatsapp.baseUrl;
+    this.apiVersion = config.whatsapp.apiVersion;
+    this.token = config.whatsapp.token;
+    this.phoneNumberId = config.whatsapp.phoneNumberId;
+    this.webhookSecret = config.whatsapp.webhookSecret;
+    this.minSendIntervalMs = config.whatsapp.sendIntervalMs;
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // 1 second base delay
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   */
+  async sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Send text message via the Cloud API with retry logic
+   * @param {string} to - Recipient phone number or WhatsApp JID
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} API response
+   */
+  async sendText(to, text) {
+    // Cloud API wants bare digits: strip "+" and any "@s.whatsapp.net" suffix
+    const formattedPhone = to.replace(/^\+/, "").replace(/@.*$/, "");
+    const payload = {
+      messaging_product: "whatsapp",
+      recipient_type: "individual",
+      to: formattedPhone,
+      type: "text",
+      text: { preview_url: true, body: text },
+    };
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        logger.info("Sending message via Cloud API", {
+          provider: "cloud",
+          to: formattedPhone,
+          messageLength: text.length,
+          attempt,
+          maxRetries: this.maxRetries,
+        });
+
+        // Mock response for testing (when using test token)
+        if (this.token === "test_token_here") {
+          logger.info("Mock message sent (test mode)", {
+            provider: "cloud",
+            to: formattedPhone,
+            messageLength: text.length,
+          });
+          return { success: true, message: "Mock message sent" };
+        }
+
+        const response = await axios.post(
+          `${this.baseUrl}/${this.apiVersion}/${this.phoneNumberId}/messages`,
+          payload,
+          {
+            headers: {
+              Authorization: `Bearer ${this.token}`,
+              "Content-Type": "application/json",
+            },
+            timeout: 10000, // 10 second timeout
+          }
+        );
+
+        logger.info("Message sent via Cloud API", {
+          provider: "cloud",
+          to: formattedPhone,
+          status: response.status,
+          messageId: response.data?.messages?.[0]?.id,
+          attempt,
+        });
+
+        return response.data;
+      } catch (error) {
+        lastError = error;
+        const status = error.response?.status;
+        const apiError = error.response?.data?.error;
+
+        // Rate limited - don't wait here, let the caller back off
+        if (status === 429) {
+          const retryAfter =
+            parseInt(error.response.headers?.["retry-after"], 10) || 60;
+          logger.warn("Rate limited by Cloud API", {
+            provider: "cloud",
+            to: formattedPhone,
+            code: apiError?.code,
+            retryAfter,
+            attempt,
+          });
+          const rateLimitError = new Error(
+            `Rate limited. Try again in ${retryAfter} seconds.`
+          );
+          rateLimitError.retryAfter = retryAfter;
+          throw rateLimitError;
+        }
+
+        // Retry on server errors, timeouts and network errors
+        const retryable =
+          status === 408 ||
+          status >= 500 ||
+          (!error.response &&
+            ["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "ENOTFOUND"].includes(
+              error.code
+            ));
+
+        if (retryable && attempt < this.maxRetries) {
+          const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
+          logger.warn("Cloud API error - retrying", {
+            provider: "cloud",
+            to: formattedPhone,
+            status,
+            code: apiError?.code,
+            error: apiError?.message || error.message,
+            attempt,
+            maxRetries: this.maxRetries,
+            delay,
+          });
+          await this.sleep(delay);
+          continue;
+        }
+
+        logger.error("Failed to send message via Cloud API", {
+          provider: "cloud",
+          to: formattedPhone,
+          status,
+          code: apiError?.code,
+          error: apiError?.message || error.message,
+          attempt,
+        });
+
+        if (status) {
+          const statusError = new Error(
+            `API error: ${status} - ${apiError?.message || error.message}`
+          );
+          statusError.status = status;
+          throw statusError;
+        }
+        throw new Error(`Failed to send message: ${error.message}`);
+      }
+    }
+
+    throw new Error(
+      `Failed to send message after ${this.maxRetries} attempts: ${
+        lastError?.message || "Unknown error"
+      }`
+    );
+  }
+
+  /**
+   * Verify a Cloud API webhook request
+   * Meta signs the raw body with the app secret: X-Hub-Signature-256: sha256=<hex>
+   * @param {express.Request} req - Incoming request (with rawBody)
+   * @returns {Object} - { valid, reason }
+   */
+  verifyWebhook(req) {
+    if (!this.webhookSecret) {
+      return { valid: true, reason: "no webhook secret configured" };
+    }
+    const signature = req.get("X-Hub-Signature-256");
+    if (!signature) {
+      return { valid: false, reason: "missing signature" };
+    }
+    if (!req.rawBody) {
+      return { valid: false, reason: "missing raw body" };
+    }
+    const expected = `sha256=${hmacSha256(this.webhookSecret, req.rawBody)}`;
+    if (!safeEqual(signature, expected)) {
+      return { valid: false, reason: "signature mismatch" };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Extract the incoming messages from a Cloud API webhook payload
+   * Cloud may batch several messages into one payload.
+   * Payload shape: { object, entry[].changes[].value.messages[] }
+   * @param {Object} body - Webhook body
+   * @returns {Array<Object>} - [{ id, from, text }] in payload order, empty if no text messages
+   */
+  parseWebhook(body) {
+    if (body.object !== "whatsapp_business_account") return [];
+
+    const messages = [];
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field && change.field !== "messages") continue;
+        for (const message of change.value?.messages || []) {
+          let text = "";
+          if (message.type === "text") {
+            text = message.text?.body || "";
+          } else if (message.type === "button") {
+            text = message.button?.text || "";
+          } else if (message.type === "interactive") {
+            text =
+              message.interactive?.button_reply?.title ||
+              message.interactive?.list_reply?.title ||
+              "";
+          }
+
+          if (message.from && text) {
+            messages.push({
+              id: message.id || null,
+              from: message.from,
+              text: text.trim(),
+            });
+          }
+        }
+      }
+    }
+
+    return messages;
+  }
+}
+
+module.exports = CloudProvider;
@@ -1,6 +1,7 @@
 const axios = require("axios");
 const config = require("../../lib/config");
 const logger = require("../../lib/logger");
+const { safeEqual } = require("../../lib/signing");
 
 /**
  * WaSender API provider implementation
@@ -10,6 +11,8 @@ class WaSenderProvider {
   constructor() {
     this.baseUrl = config.wasender.baseUrl;
     this.apiKey = config.wasender.apiKey;
+    this.webhookSecret = config.wasender.webhookSecret;
+    this.minSendIntervalMs = config.wasender.sendIntervalMs;
     this.maxRetries = 3;
     this.retryDelay = 1000; // 1 second base delay
   }
@@ -86,47 +89,31 @@ class WaSenderProvider {
       } catch (error) {
         lastError = error;
 
-        // Handle rate limiting specifically - retry after the specified delay
+        // Handle rate limiting - don't wait here, let the caller back off
         if (error.response?.status === 429) {
           const retryAfter = error.response.data?.retry_after || 60;
           const message = error.response.data?.message || "Rate limited";
 
-          if (attempt < this.maxRetries) {
-            logger.warn("Rate limited by WaSender - will retry after delay", {
-              provider: "wasender",
-              to,
-              retryAfter,
-              message,
-              attempt,
-              maxRetries: this.maxRetries,
-            });
-            await this.sleep(retryAfter * 1000); // Convert seconds to milliseconds
-            continue;
-          } else {
-            logger.error("Rate limited by WaSender - max retries reached", {
-              provider: "wasender",
-              to,
-              retryAfter,
-              message,
-              attempt,
-            });
-            throw new Error(
-              `Rate limited. Try again in ${retryAfter} seconds.`
-            );
-          }
+          logger.warn("Rate limited by WaSender", {
+            provider: "wasender",
+            to,
+            retryAfter,
+            message,
+            attempt,
+          });
+          const rateLimitError = new Error(
+            `Rate limited. Try again in ${retryAfter} seconds.`
+          );
+          rateLimitError.retryAfter = retryAfter;
+          throw rateLimitError;
         }
 
         // Handle other HTTP errors that might be retryable
         if (error.response) {
           const status = error.response.status;
 
-          // Don't retry on client errors (4xx) except 408, 429
-          if (
-            status >= 400 &&
-            status < 500 &&
-            status !== 408 &&
-            status !== 429
-          ) {
+          // Don't retry on client errors (4xx) except 408
+          if (status >= 400 && status < 500 && status !== 408) {
             logger.error("WaSender API client error - not retrying", {
               provider: "wasender",
               to,
@@ -134,11 +121,13 @@ class WaSenderProvider {
               data: error.response.data,
               attempt,
             });
-            throw new Error(
+            const clientError = new Error(
               `API error: ${status} - ${
                 error.response.data?.message || error.message
               }`
             );
+            clientError.status = status;
+            throw clientError;
           }
 
           // Retry on server errors (5xx) and 408
@@ -165,11 +154,13 @@ class WaSenderProvider {
             data: error.response.data,
             attempt,
           });
-          throw new Error(
+          const apiError = new Error(
             `API error: ${status} - ${
               error.response.data?.message || error.message
             }`
           );
+          apiError.status = status;
+          throw apiError;
         }
 
         // Handle network/timeout errors - retry these
@@ -223,6 +214,75 @@ class WaSenderProvider {
       }`
     );
   }
+
+  /**
+   * Verify a WaSender webhook request
+   * WaSender sends the configured webhook secret in X-Webhook-Signature.
+   * @param {express.Request} req - Incoming request
+   * @returns {Object} - { valid, reason }
+   */
+  verifyWebhook(req) {
+    if (!this.webhookSecret) {
+      return { valid: true, reason: "no webhook secret configured" };
+    }
+    const signature = req.get("X-Webhook-Signature");
+    if (!signature) {
+      return { valid: false, reason: "missing signature" };
+    }
+    if (!safeEqual(signature, this.webhookSecret)) {
+      return { valid: false, reason: "signature mismatch" };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Extract the incoming message from a WaSender webhook payload
+   * WaSender sends one message per webhook.
+   * @param {Object} body - Webhook body
+   * @returns {Array<Object>} - [{ id, from, text }], empty if no valid message
+   */
+  parseWebhook(body) {
+    // Handle WaSender event webhooks
+    if (
+      body.event &&
+      (body.event.startsWith("message.") || body.event.startsWith("messages."))
+    ) {
+      // Process received messages and upserts (new messages)
+      if (
+        (body.event === "message.received" ||
+          body.event === "messages.upsert" ||
+          body.event === "messages.received") &&
+        body.data &&
+        body.data.messages
+      ) {
+        if (body.data.messages.key && body.data.messages.message) {
+          // Extract from WaSender messages object format
+          const messageData = body.data.messages;
+          const from = messageData.key.remoteJid;
+          let text = "";
+
+          // Extract text from different message types
+          if (messageData.message.conversation) {
+            text = messageData.message.conversation;
+          } else if (
+            messageData.message.extendedTextMessage &&
+            messageData.message.extendedTextMessage.text
+          ) {
+            text = messageData.message.extendedTextMessage.text;
+          } else if (messageData.message.text) {
+            text = messageData.message.text;
+          }
+
+          if (from && text) {
+            return [
+              { id: messageData.key.id || null, from, text: text.trim() },
+            ];
+          }
+        }
+      }
+    }
+    return [];
+  }
 }
 
 module.exports = WaSenderProvider;